@@ -0,0 +1,192 @@
+// archive.js
+// What happens to camera originals once they are uploaded or removed from a queue.
+// With ARCHIVE_DIR set in paths.txt they are moved to
+//   ARCHIVE_DIR/<store>/<YYYY-MM-DD>/<productId>-<SKU>/
+// next to an upload.json sidecar; without it they are deleted, as the tool always did.
+// ARCHIVE_RETENTION_DAYS removes date folders once they are that many days old.
+const fs = require('fs');
+const path = require('path');
+const localPaths = require('./paths');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { moveFileInto } = require('./move-file');
+
+const ARCHIVE_DIR = localPaths.ARCHIVE_DIR ? path.resolve(localPaths.ARCHIVE_DIR) : null;
+const RETENTION_DAYS = Number(localPaths.ARCHIVE_RETENTION_DAYS) > 0
+  ? Number(localPaths.ARCHIVE_RETENTION_DAYS)
+  : null;
+
+const SIDECAR_NAME = 'upload.json';
+const REMOVED_DIR_NAME = 'removed';
+const NO_STORE_DIR_NAME = 'No store';
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DATE_DIR_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Store names and SKUs end up as Windows folder names.
+function safeSegment(value, fallback) {
+  const cleaned = String(value || '')
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+    .replace(/[. ]+$/, '')
+    .trim()
+    .slice(0, 80);
+  return cleaned || fallback;
+}
+
+// Local calendar day, so a late shoot lands in that day's folder rather than tomorrow's UTC one.
+function localDate(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function productFolder(product, store, date = new Date()) {
+  const productName = product.sku ? `${product.id}-${product.sku}` : String(product.id);
+  return path.join(
+    ARCHIVE_DIR,
+    safeSegment(store, NO_STORE_DIR_NAME),
+    localDate(date),
+    safeSegment(productName, 'unknown-product')
+  );
+}
+
+async function deleteFiles(files) {
+  for (const filePath of files) {
+    try {
+      if (!fs.existsSync(filePath)) {
+        console.warn('File missing when deleting, skipping', filePath);
+        continue;
+      }
+      await fs.promises.unlink(filePath);
+      console.log('Deleted uploaded file', filePath);
+    } catch (err) {
+      console.error('Error deleting file', filePath, err);
+    }
+  }
+}
+
+// Moves a finished upload's originals into the archive and records it in the sidecar,
+// or deletes them when archiving is off. `upload` is
+// { jobId, station, preset, presetSettings, images: [{ filePath, mediaId, filename, alt, crop, variantId }] }.
+// Returns the product folder, or null.
+async function archiveUploadedFiles(product, store, upload) {
+  if (!ARCHIVE_DIR) {
+    await deleteFiles(upload.images.map(image => image.filePath));
+    return null;
+  }
+
+  const dir = productFolder(product, store);
+  const images = [];
+
+  for (const [index, image] of upload.images.entries()) {
+    let archivedAs = null;
+    try {
+      if (fs.existsSync(image.filePath)) {
+        archivedAs = path.basename(await moveFileInto(image.filePath, dir));
+      } else {
+        console.warn('File missing when archiving, skipping', image.filePath);
+      }
+    } catch (err) {
+      console.error('Error archiving file', image.filePath, err);
+    }
+
+    images.push({
+      position: index + 1,
+      original: path.basename(image.filePath),
+      archivedAs,
+      shopifyMediaId: image.mediaId || null,
+      uploadedFilename: image.filename || null,
+      alt: image.alt || null,
+      crop: image.crop || null,
+      variantId: image.variantId || null
+    });
+  }
+
+  // A product re-shot on the same day shares the folder, so uploads are appended.
+  const sidecarPath = path.join(dir, SIDECAR_NAME);
+  const sidecar = readJsonFile(sidecarPath, null) || { product: null, store: store || null, uploads: [] };
+  sidecar.product = {
+    id: product.id,
+    title: product.title || '',
+    sku: product.sku || null,
+    product_type: product.product_type || ''
+  };
+  sidecar.uploads.push({
+    jobId: upload.jobId,
+    station: upload.station || null,
+    uploadedAt: new Date().toISOString(),
+    preset: upload.preset || null,
+    presetSettings: upload.presetSettings || null,
+    images
+  });
+
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    writeJsonFile(sidecarPath, sidecar);
+  } catch (err) {
+    console.error('Failed to write archive sidecar', sidecarPath, err);
+  }
+
+  console.log(`Archived ${images.filter(image => image.archivedAs).length} originals to`, dir);
+  return dir;
+}
+
+// A photo taken off a queue goes to removed/ under the product's folder for the day.
+// Returns the new path, or null when it was deleted.
+async function archiveRemovedFile(filePath, product, store) {
+  if (!ARCHIVE_DIR) {
+    await fs.promises.unlink(filePath);
+    console.log('Removed queued photo file', filePath);
+    return null;
+  }
+
+  const dir = product
+    ? path.join(productFolder(product, store), REMOVED_DIR_NAME)
+    : path.join(ARCHIVE_DIR, safeSegment(store, NO_STORE_DIR_NAME), localDate(), REMOVED_DIR_NAME);
+  const target = await moveFileInto(filePath, dir);
+  console.log('Archived removed photo', filePath, '->', target);
+  return target;
+}
+
+async function readDirNames(dir) {
+  try {
+    return await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Failed to read archive folder', dir, err.message);
+    return [];
+  }
+}
+
+// Date folders are named by day, so anything that sorts before the cutoff day is old enough.
+async function pruneArchive() {
+  if (!ARCHIVE_DIR || !RETENTION_DAYS) return;
+
+  const cutoff = localDate(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  let removed = 0;
+
+  for (const storeName of await readDirNames(ARCHIVE_DIR)) {
+    const storeDir = path.join(ARCHIVE_DIR, storeName);
+    for (const dateName of await readDirNames(storeDir)) {
+      if (!DATE_DIR_PATTERN.test(dateName) || dateName >= cutoff) continue;
+      try {
+        await fs.promises.rm(path.join(storeDir, dateName), { recursive: true, force: true });
+        removed += 1;
+      } catch (err) {
+        console.error('Failed to prune archive folder', path.join(storeDir, dateName), err.message);
+      }
+    }
+  }
+
+  if (removed) console.log(`Pruned ${removed} archive day folders older than ${RETENTION_DAYS} days`);
+}
+
+function startArchivePruning() {
+  if (!ARCHIVE_DIR) return;
+  console.log('Archiving uploaded originals to', ARCHIVE_DIR, RETENTION_DAYS ? `(kept ${RETENTION_DAYS} days)` : '');
+  pruneArchive();
+  setInterval(pruneArchive, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  archiveRemovedFile,
+  archiveUploadedFiles,
+  startArchivePruning
+};
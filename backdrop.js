@@ -0,0 +1,114 @@
+// backdrop.js
+// Replaces the plain shooting backdrop with a flat colour so listings from every store
+// match. The backdrop is found by flooding in from the image border through pixels
+// close to the border colour, so light areas inside the product are left alone.
+const sharp = require('sharp');
+const { estimateBackdrop } = require('./smart-crop');
+
+const ANALYSIS_SIZE = 512;
+
+const DEFAULT_BACKDROP = {
+  color: '#ffffff',
+  tolerance: 1.5,   // multiplier on the threshold measured from the border
+  feather: 3        // blur sigma of the mask edge, in output pixels
+};
+
+function normalizeBackdropOptions(raw) {
+  if (!raw) return null;
+  const options = { ...DEFAULT_BACKDROP, ...(typeof raw === 'object' ? raw : {}) };
+  return {
+    color: options.color || DEFAULT_BACKDROP.color,
+    tolerance: Number(options.tolerance) > 0 ? Number(options.tolerance) : DEFAULT_BACKDROP.tolerance,
+    feather: Number(options.feather) >= 0 ? Number(options.feather) : DEFAULT_BACKDROP.feather
+  };
+}
+
+// 255 where the pixel belongs to the backdrop connected to the border, 0 elsewhere.
+function floodBackdropMask(data, width, height, channels, color, limit) {
+  const mask = Buffer.alloc(width * height);
+  const stack = [];
+
+  const isBackdrop = index => {
+    const offset = index * channels;
+    const diff = Math.max(
+      Math.abs(data[offset] - color[0]),
+      Math.abs(data[offset + 1] - color[1]),
+      Math.abs(data[offset + 2] - color[2])
+    );
+    return diff <= limit;
+  };
+
+  const visit = index => {
+    if (mask[index] || !isBackdrop(index)) return;
+    mask[index] = 255;
+    stack.push(index);
+  };
+
+  for (let x = 0; x < width; x += 1) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y += 1) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (stack.length) {
+    const index = stack.pop();
+    const x = index % width;
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < width * (height - 1)) visit(index + width);
+  }
+
+  return mask;
+}
+
+// Takes and returns { data, info } raw pixels, like every pipeline step. Any alpha
+// channel is dropped since the backdrop is now solid.
+async function whitenBackdrop(image, rawOptions) {
+  const options = normalizeBackdropOptions(rawOptions);
+  if (!options) return image;
+
+  const { width, height } = image.info;
+  const small = await sharp(image.data, { raw: image.info })
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { color, threshold } = estimateBackdrop(small.data, small.info.width, small.info.height, small.info.channels);
+  const smallMask = floodBackdropMask(
+    small.data,
+    small.info.width,
+    small.info.height,
+    small.info.channels,
+    color,
+    threshold * options.tolerance
+  );
+
+  let maskPipeline = sharp(smallMask, { raw: { width: small.info.width, height: small.info.height, channels: 1 } })
+    .resize(width, height, { fit: 'fill', kernel: 'linear' });
+  if (options.feather >= 0.3) maskPipeline = maskPipeline.blur(options.feather);
+  // libvips hands single-band raw input back as sRGB; keep one band for joinChannel.
+  const mask = await maskPipeline.extractChannel(0).raw().toBuffer();
+
+  const fill = await sharp({
+    create: { width, height, channels: 3, background: options.color }
+  })
+    .joinChannel(mask, { raw: { width, height, channels: 1 } })
+    .raw()
+    .toBuffer();
+
+  return sharp(image.data, { raw: image.info })
+    .composite([{ input: fill, raw: { width, height, channels: 4 } }])
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+module.exports = {
+  normalizeBackdropOptions,
+  whitenBackdrop
+};
@@ -0,0 +1,138 @@
+// barcode.js
+// Reads the hang-tag barcode in an incoming photo (Code 128, EAN/UPC or QR) and matches
+// it against the variant SKUs and barcodes of products that still need photos.
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource
+} = require('@zxing/library');
+const { openImage } = require('./image-processing');
+const { getIndexedProducts } = require('./product-index');
+
+const FORMATS = [
+  BarcodeFormat.CODE_128,
+  BarcodeFormat.EAN_13,
+  BarcodeFormat.EAN_8,
+  BarcodeFormat.UPC_A,
+  BarcodeFormat.UPC_E,
+  BarcodeFormat.QR_CODE
+];
+
+// Longest edge tried, in order. Tags fill little of the frame, so detail matters more
+// than speed at first; the small pass helps with very coarse print.
+const SCAN_SIZES = [2000, 1000];
+
+function createReader() {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, FORMATS);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+}
+
+function decodeRegion(reader, luminance, width, height, top, regionHeight) {
+  const source = new RGBLuminanceSource(luminance, width, regionHeight, width, height, 0, top);
+  try {
+    const result = reader.decode(new BinaryBitmap(new HybridBinarizer(source)));
+    return { text: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] };
+  } catch (err) {
+    // zxing throws NotFoundException when there is simply no code in the region.
+    return null;
+  } finally {
+    reader.reset();
+  }
+}
+
+async function decodeAtSize(pipeline, size, reader) {
+  const { data, info } = await pipeline
+    .clone()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const luminance = new Uint8ClampedArray(data.buffer, data.byteOffset, width * height);
+
+  // The 1D readers miss small tags in tall frames that they find in a band around
+  // the tag, so the whole frame is followed by overlapping half-height bands.
+  const regions = [[0, height], [0, height / 2], [height / 4, height / 2], [height / 2, height / 2]];
+  for (const [top, regionHeight] of regions) {
+    const found = decodeRegion(reader, luminance, width, height, Math.floor(top), Math.floor(regionHeight));
+    if (found) return found;
+  }
+  return null;
+}
+
+// Returns { text, format } for the first code found, or null.
+async function decodeBarcode(filePath) {
+  const { pipeline } = await openImage(filePath);
+  const reader = createReader();
+  for (const size of SCAN_SIZES) {
+    const found = await decodeAtSize(pipeline, size, reader);
+    if (found) return found;
+  }
+  return null;
+}
+
+// UPC-A is EAN-13 with a leading zero, so numeric codes compare without leading zeros.
+function normalizeCode(value) {
+  const text = String(value || '').trim().toUpperCase();
+  return /^\d+$/.test(text) ? text.replace(/^0+/, '') : text;
+}
+
+// Products whose variants carry the code as SKU or barcode. The index is the same list
+// getRecentProductsWithoutImages filters, with every variant rather than the first.
+async function findProductsByCode(code) {
+  const target = normalizeCode(code);
+  if (!target) return [];
+
+  const products = await getIndexedProducts();
+  return products.filter(product =>
+    (product.variants || []).some(variant =>
+      normalizeCode(variant.sku) === target || normalizeCode(variant.barcode) === target
+    )
+  );
+}
+
+function toSelectableProduct(product) {
+  const variant = (product.variants || [])[0] || {};
+  return {
+    id: product.id,
+    title: product.title,
+    sku: variant.sku || null,
+    barcode: variant.barcode || null,
+    variant_id: variant.id || null,
+    variants: (product.variants || []).map(item => ({ id: item.id, title: item.title, sku: item.sku || null })),
+    created_at: product.created_at,
+    product_type: product.product_type || '',
+    vendor: product.vendor || '',
+    tags: product.tags || []
+  };
+}
+
+// Resolves one of:
+//   { status: 'none' }                                  no barcode in the photo
+//   { status: 'matched', code, format, product }        exactly one product carries it
+//   { status: 'ambiguous', code, format, candidates }   several products carry it
+//   { status: 'unknown', code, format }                 nothing needing photos carries it
+async function scanForProduct(filePath) {
+  const found = await decodeBarcode(filePath);
+  if (!found) return { status: 'none' };
+
+  const matches = (await findProductsByCode(found.text)).map(toSelectableProduct);
+  const base = { code: found.text, format: found.format };
+  if (matches.length === 1) return { ...base, status: 'matched', product: matches[0] };
+  if (matches.length > 1) return { ...base, status: 'ambiguous', candidates: matches };
+  return { ...base, status: 'unknown' };
+}
+
+module.exports = {
+  decodeBarcode,
+  findProductsByCode,
+  scanForProduct
+};
@@ -0,0 +1,92 @@
+// connectivity.js
+// Whether Shopify can be reached from this machine. The request layer reports every answer
+// and every dropped connection. While offline, shooting carries on against local copies:
+// batches wait in jobs.json and a light probe checks back until Shopify answers, then
+// the waiting work resumes on its own.
+const { broadcast } = require('./events');
+
+const PROBE_INTERVAL_MS = 15 * 1000;
+
+// online is null until the first request tells either way.
+const state = { online: null, since: null, lastError: null };
+const reconnectListeners = [];
+let probe = null;
+let probeTimer = null;
+
+function getConnectivity() {
+  return { ...state };
+}
+
+// Unknown counts as online, so work is attempted at startup.
+function isOnline() {
+  return state.online !== false;
+}
+
+function onReconnect(listener) {
+  reconnectListeners.push(listener);
+}
+
+// `check` makes any cheap request; its outcome reaches this module through the request layer.
+function setProbe(check) {
+  probe = check;
+}
+
+function startProbe() {
+  if (probeTimer || !probe) return;
+  probeTimer = setInterval(() => {
+    probe().catch(() => {});
+  }, PROBE_INTERVAL_MS);
+  probeTimer.unref();
+}
+
+function stopProbe() {
+  if (!probeTimer) return;
+  clearInterval(probeTimer);
+  probeTimer = null;
+}
+
+function setOnline(online, error) {
+  if (state.online === online) {
+    if (!online) state.lastError = error;
+    return;
+  }
+
+  const wasOffline = state.online === false;
+  state.online = online;
+  state.since = new Date().toISOString();
+  state.lastError = online ? null : error;
+  broadcast('connectivity-changed', { connectivity: getConnectivity() });
+
+  if (online) {
+    stopProbe();
+    if (!wasOffline) return;
+    console.log('Shopify is reachable again, resuming uploads');
+    reconnectListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (err) {
+        console.error('Reconnect listener failed', err);
+      }
+    });
+  } else {
+    console.warn('Shopify is unreachable, working offline:', error);
+    startProbe();
+  }
+}
+
+function reportReachable() {
+  setOnline(true, null);
+}
+
+function reportUnreachable(err) {
+  setOnline(false, (err && (err.code || (err.cause && err.cause.code) || err.message)) || 'No connection');
+}
+
+module.exports = {
+  getConnectivity,
+  isOnline,
+  onReconnect,
+  reportReachable,
+  reportUnreachable,
+  setProbe
+};
@@ -0,0 +1,60 @@
+// events.js
+// Server-Sent Events channel to the open pages. Queue changes and upload progress are
+// pushed as they happen, so a new shot shows up without waiting for a poll.
+const HEARTBEAT_MS = 25000;
+// Browsers reconnect on their own after a drop; this is how long they wait first.
+const RECONNECT_MS = 3000;
+
+// { res, station } per open page. Station is null for pages that want everything.
+const clients = new Set();
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function openEventStream(req, res, station) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const client = { res, station: station || null };
+  clients.add(client);
+
+  // Comments keep idle connections from being cut by proxies and store routers.
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  writeEvent(res, 'ready', { station: client.station });
+}
+
+// Events for a station only reach pages on that station; others go to every page.
+function broadcast(type, data, station = null) {
+  clients.forEach(client => {
+    if (station && client.station && client.station !== station) return;
+    try {
+      writeEvent(client.res, type, data);
+    } catch (err) {
+      console.error('Failed to push event', type, err.message);
+    }
+  });
+}
+
+// Open streams would otherwise keep server.close() waiting.
+function closeEventStreams() {
+  clients.forEach(client => client.res.end());
+  clients.clear();
+}
+
+module.exports = {
+  broadcast,
+  closeEventStreams,
+  openEventStream
+};
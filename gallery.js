@@ -0,0 +1,119 @@
+// gallery.js
+// Reshoots of products that already have images. The station keeps the product's current
+// Shopify images and its queued photos in the order the gallery should end up in. Nothing
+// changes on Shopify until Done, when the upload job adds the new photos, deletes the
+// images that were left out and puts everything in this order.
+const { getProductMedia } = require('./shopify');
+
+// Gallery shape:
+// { productId, status: 'loading' | 'ready' | 'failed', error,
+//   images: [{ id: media GID, src, alt, position, width, height }] as they are on Shopify,
+//   layout: [{ mediaId } | { filePath }] in the final order; images not in it are deleted,
+//   loadedAt }
+function pendingGallery(productId) {
+  return { productId, status: 'loading', error: null, images: [], layout: [], loadedAt: null };
+}
+
+async function loadGallery(productId) {
+  const images = await getProductMedia(productId);
+  return {
+    productId,
+    status: 'ready',
+    error: null,
+    images,
+    layout: images.map(image => ({ mediaId: image.id })),
+    loadedAt: new Date().toISOString()
+  };
+}
+
+// Brings the layout in line with the queue. Photo slots stay where they were put but are
+// filled in queue order, so reordering the queue carries over; photos that left the queue
+// lose their slot and newly queued ones go last.
+function reconcileLayout(gallery, queue) {
+  const known = new Set(gallery.images.map(image => image.id));
+  const queued = queue.map(entry => entry.filePath);
+  const placed = new Set(gallery.layout.filter(item => item.filePath).map(item => item.filePath));
+  const slotted = queued.filter(filePath => placed.has(filePath));
+
+  const layout = [];
+  gallery.layout.forEach(item => {
+    if (item.mediaId) {
+      if (known.has(item.mediaId)) layout.push({ mediaId: item.mediaId });
+    } else if (queued.includes(item.filePath)) {
+      layout.push({ filePath: slotted.shift() });
+    }
+  });
+  queued.filter(filePath => !placed.has(filePath)).forEach(filePath => layout.push({ filePath }));
+
+  gallery.layout = layout;
+  return layout;
+}
+
+function layoutKey(item) {
+  return item.mediaId ? `media:${item.mediaId}` : `photo:${item.filePath}`;
+}
+
+// `items` is the new order as [{ mediaId } | { filePath }]. Queued photos moved here move in
+// `queue` too, which is sorted in place. Returns an error message, or null once the layout
+// is taken.
+function setLayout(gallery, queue, items) {
+  if (!Array.isArray(items)) return 'Layout must be a list';
+
+  const known = new Set(gallery.images.map(image => image.id));
+  const queued = new Set(queue.map(entry => entry.filePath));
+  const seen = new Set();
+  const layout = [];
+  for (const item of items) {
+    const key = item && layoutKey(item);
+    if (!key || seen.has(key)) return 'Layout lists an image twice';
+    seen.add(key);
+
+    if (item.mediaId) {
+      if (!known.has(String(item.mediaId))) return 'Layout lists an image that is not on this product';
+      layout.push({ mediaId: String(item.mediaId) });
+    } else {
+      if (!queued.has(item.filePath)) return 'Layout lists a photo that is not queued';
+      layout.push({ filePath: item.filePath });
+    }
+  }
+
+  const rank = new Map(layout.filter(item => item.filePath).map((item, index) => [item.filePath, index]));
+  const rankOf = entry => (rank.has(entry.filePath) ? rank.get(entry.filePath) : rank.size);
+  queue.sort((a, b) => rankOf(a) - rankOf(b));
+
+  gallery.layout = layout;
+  reconcileLayout(gallery, queue);
+  return null;
+}
+
+function removedImages(gallery) {
+  const kept = new Set(gallery.layout.filter(item => item.mediaId).map(item => item.mediaId));
+  return gallery.images.filter(image => !kept.has(image.id));
+}
+
+// What the upload job applies: { order: layout, deleteMediaIds, changed }. `changed` is
+// false when Done would only append the new photos, as it does without a gallery.
+function planGallery(gallery, queue) {
+  const layout = reconcileLayout(gallery, queue);
+  const deleteMediaIds = removedImages(gallery).map(image => image.id);
+  const appended = gallery.images
+    .filter(image => !deleteMediaIds.includes(image.id))
+    .map(image => ({ mediaId: image.id }))
+    .concat(queue.map(entry => ({ filePath: entry.filePath })));
+
+  return {
+    order: layout.map(item => ({ ...item })),
+    deleteMediaIds,
+    changed: Boolean(deleteMediaIds.length)
+      || layout.map(layoutKey).join('|') !== appended.map(layoutKey).join('|')
+  };
+}
+
+module.exports = {
+  loadGallery,
+  pendingGallery,
+  planGallery,
+  reconcileLayout,
+  removedImages,
+  setLayout
+};
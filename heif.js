@@ -0,0 +1,29 @@
+// heif.js
+// iPhone HEIC/HEIF support. The prebuilt sharp binaries only read AVIF-flavoured HEIF,
+// so HEVC-coded photos are decoded with libheif compiled to WebAssembly instead.
+const fs = require('fs');
+const path = require('path');
+const decodeHeic = require('heic-decode');
+
+const HEIF_EXTS = ['.heic', '.heif'];
+
+function isHeifFile(filePath) {
+  return HEIF_EXTS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Returns { data, info } raw RGBA pixels in display orientation: libheif applies the
+// container's rotation and mirroring (the same turn the EXIF tag describes), so the
+// result must not be rotated again.
+async function decodeHeif(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const { width, height, data } = await decodeHeic({ buffer });
+  return {
+    data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+    info: { width, height, channels: 4 }
+  };
+}
+
+module.exports = {
+  decodeHeif,
+  isHeifFile
+};
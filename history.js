@@ -0,0 +1,155 @@
+// history.js
+// Permanent log of finished upload jobs, kept after jobs.json forgets them, so the shop
+// can answer who shot what, when, and whether it went live.
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const HISTORY_FILE = path.join(__dirname, 'history.json');
+
+// Entry shape:
+// { jobId, station, product: { id, title, sku }, store, preset, status: 'completed' | 'failed',
+//   imageCount, uploadedCount, mediaIds, removedMediaIds, rule, targetStatus, statusUpdate: { ok, error },
+//   addedTags, publications: { published, failed, error }, createdAt, startedAt, finishedAt,
+//   durationMs, errors }
+let entries = readJsonFile(HISTORY_FILE, { entries: [] }).entries || [];
+
+function saveHistory() {
+  try {
+    writeJsonFile(HISTORY_FILE, { entries });
+  } catch (err) {
+    console.error('Failed to save upload history', HISTORY_FILE, err);
+  }
+}
+
+function describeErrors(job) {
+  const errors = job.images
+    .filter(image => image.error)
+    .map(image => `${path.basename(image.filePath)}: ${image.error}`);
+  if (job.finalize.state === 'failed' && job.finalize.error) errors.push(`Publish: ${job.finalize.error}`);
+  return errors;
+}
+
+function describePublications(steps) {
+  const channels = ((steps && steps.channels) || []).filter(Boolean);
+  if (!channels.length) return null;
+  const failed = channels.filter(channel => !channel.ok);
+  return {
+    published: channels.filter(channel => channel.ok).map(channel => channel.name),
+    failed: failed.map(channel => channel.name),
+    error: failed.length ? failed.map(channel => `${channel.name}: ${channel.error}`).join('; ') : null
+  };
+}
+
+// Called when a job completes or runs out of retries. A failed job that is retried
+// later replaces its earlier entry.
+function recordUpload(job) {
+  const steps = job.finalize.steps || null;
+  const finishedAt = job.completedAt || job.updatedAt || new Date().toISOString();
+  const startedAt = job.startedAt || job.createdAt;
+  const uploaded = job.images.filter(image => image.state === 'uploaded');
+
+  const entry = {
+    jobId: job.id,
+    station: job.station,
+    product: {
+      id: job.product.id,
+      title: job.product.title || '',
+      sku: job.product.sku || null
+    },
+    store: job.product.store || null,
+    preset: job.preset || null,
+    status: job.status,
+    imageCount: job.images.length,
+    uploadedCount: uploaded.length,
+    mediaIds: uploaded.map(image => image.mediaId).filter(Boolean),
+    // Current images a reshoot deleted.
+    removedMediaIds: steps && steps.gallery
+      ? steps.gallery.deleted.filter(item => item.ok).map(item => item.id)
+      : [],
+    rule: job.publishing ? job.publishing.rule : null,
+    targetStatus: job.publishing ? job.publishing.status : 'active',
+    statusUpdate: steps ? steps.status : null,
+    addedTags: steps && steps.tags && steps.tags.ok ? job.publishing.addTags : [],
+    publications: describePublications(steps),
+    createdAt: job.createdAt,
+    startedAt,
+    finishedAt,
+    durationMs: Math.max(new Date(finishedAt).getTime() - new Date(startedAt).getTime(), 0),
+    errors: describeErrors(job)
+  };
+
+  entries = entries.filter(other => other.jobId !== job.id);
+  entries.push(entry);
+  saveHistory();
+  return entry;
+}
+
+// Dates are YYYY-MM-DD in local time and both ends are inclusive. `product` matches the
+// id exactly or the title/SKU partially; `store` matches exactly.
+function queryHistory({ from, to, store, product } = {}) {
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+  const needle = String(product || '').trim().toLowerCase();
+
+  return entries
+    .filter(entry => {
+      const finished = new Date(entry.finishedAt).getTime();
+      if (fromTime && finished < fromTime) return false;
+      if (toTime && finished > toTime) return false;
+      if (store && entry.store !== store) return false;
+      if (needle) {
+        const matches = String(entry.product.id) === needle
+          || (entry.product.title || '').toLowerCase().includes(needle)
+          || (entry.product.sku || '').toLowerCase().includes(needle);
+        if (!matches) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+}
+
+const CSV_COLUMNS = [
+  ['Finished', entry => entry.finishedAt],
+  ['Station', entry => entry.station],
+  ['Store', entry => entry.store || ''],
+  ['Product ID', entry => entry.product.id],
+  ['Title', entry => entry.product.title],
+  ['SKU', entry => entry.product.sku || ''],
+  ['Status', entry => entry.status],
+  ['Images', entry => entry.imageCount],
+  ['Uploaded', entry => entry.uploadedCount],
+  ['Shopify media IDs', entry => (entry.mediaIds || []).join(' ')],
+  ['Removed media IDs', entry => (entry.removedMediaIds || []).join(' ')],
+  ['Rule', entry => entry.rule || ''],
+  ['Product status', entry => describeStatus(entry)],
+  ['Tags added', entry => (entry.addedTags || []).join('; ')],
+  ['Published to', entry => (entry.publications ? entry.publications.published.join('; ') : '')],
+  ['Not published to', entry => (entry.publications ? entry.publications.failed.join('; ') : '')],
+  ['Duration (s)', entry => Math.round(entry.durationMs / 1000)],
+  ['Errors', entry => entry.errors.join(' | ')]
+];
+
+function describeStatus(entry) {
+  if (!entry.statusUpdate) return '';
+  const status = entry.targetStatus || 'active';
+  return entry.statusUpdate.ok ? status : `${status} (failed)`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyToCsv(list) {
+  const lines = [CSV_COLUMNS.map(([title]) => csvCell(title)).join(',')];
+  list.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  historyToCsv,
+  queryHistory,
+  recordUpload
+};
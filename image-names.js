@@ -0,0 +1,98 @@
+// image-names.js
+// File names and alt text for uploaded images, built from product data so Shopify gets
+// IMG_4821-square.jpg no more. Templates come from paths.txt:
+//
+//   IMAGE_FILENAME_TEMPLATE={title}[-{variant}]-{index}
+//   IMAGE_ALT_TEMPLATE={title}[ - {variant}][ by {vendor}]
+//
+// Placeholders are {title}, {vendor}, {sku}, {variant} and {index}, the image's position in
+// the gallery. A [bracketed] part is left out when a placeholder in it is empty, so a
+// product without a vendor does not end up with a stray "by". Each queued photo can
+// override both.
+const localPaths = require('./paths');
+
+const DEFAULT_FILENAME_TEMPLATE = '{title}[-{variant}]-{index}';
+const DEFAULT_ALT_TEMPLATE = '{title}[ - {variant}][ by {vendor}]';
+const FILENAME_TEMPLATE = String(localPaths.IMAGE_FILENAME_TEMPLATE || DEFAULT_FILENAME_TEMPLATE);
+const ALT_TEMPLATE = String(localPaths.IMAGE_ALT_TEMPLATE || DEFAULT_ALT_TEMPLATE);
+
+const MAX_FILENAME_LENGTH = 100;
+// Shopify rejects longer alt text.
+const MAX_ALT_LENGTH = 512;
+
+function fillPlaceholders(text, values) {
+  let missing = false;
+  const filled = text.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = values[key] === undefined || values[key] === null ? '' : String(values[key]).trim();
+    if (!value) missing = true;
+    return value;
+  });
+  return { filled, missing };
+}
+
+function renderTemplate(template, values) {
+  const withOptional = template.replace(/\[([^\]]*)\]/g, (match, part) => {
+    const { filled, missing } = fillPlaceholders(part, values);
+    return missing ? '' : filled;
+  });
+  return fillPlaceholders(withOptional, values).filled;
+}
+
+// Lowercase ASCII words joined by dashes, the form search engines read best.
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_FILENAME_LENGTH)
+    .replace(/-+$/, '');
+}
+
+function cleanAlt(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_ALT_LENGTH);
+}
+
+function variantTitle(product, variantId) {
+  if (!variantId) return '';
+  const variant = (product.variants || []).find(item => String(item.id) === String(variantId));
+  // Shopify calls the only variant of a product without options "Default Title".
+  return variant && variant.title !== 'Default Title' ? variant.title : '';
+}
+
+// Resolves { baseName, alt } for the image at `position` (1-based). `naming` holds the
+// photo's own { filename, alt }, which win over the templates. An empty baseName means
+// the caller keeps its usual name.
+function imageNames(product, { position, variantId, naming } = {}) {
+  const values = {
+    title: product.title,
+    vendor: product.vendor,
+    sku: product.sku,
+    variant: variantTitle(product, variantId),
+    index: position
+  };
+  const override = naming || {};
+  return {
+    baseName: slugify(override.filename || renderTemplate(FILENAME_TEMPLATE, values)),
+    alt: cleanAlt(override.alt || renderTemplate(ALT_TEMPLATE, values))
+  };
+}
+
+// Checks a photo's overrides from the page. Resolves { naming, error }; naming is null
+// when both fields are empty, so the templates apply again.
+function normalizeNaming({ filename, alt } = {}) {
+  const name = typeof filename === 'string' ? filename.trim().replace(/\.[a-z0-9]{2,5}$/i, '') : '';
+  const altText = typeof alt === 'string' ? cleanAlt(alt) : '';
+  if (name && !slugify(name)) return { naming: null, error: 'File name needs at least one letter or digit' };
+  if (typeof alt === 'string' && alt.trim().length > MAX_ALT_LENGTH) {
+    return { naming: null, error: `Alt text is longer than ${MAX_ALT_LENGTH} characters` };
+  }
+  if (!name && !altText) return { naming: null, error: null };
+  return { naming: { filename: name ? slugify(name) : null, alt: altText || null }, error: null };
+}
+
+module.exports = {
+  imageNames,
+  normalizeNaming
+};
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { readJsonFile } = require('./json-file');
+const { normalizeBackdropOptions, whitenBackdrop } = require('./backdrop');
+const { decodeHeif, isHeifFile } = require('./heif');
+const {
+  DEFAULT_MARGIN,
+  centeredCropBox,
+  detectCropBox,
+  fitCropBox,
+  fromRelativeBox,
+  isValidRelativeBox,
+  toRelativeBox
+} = require('./smart-crop');
+
+const PRESETS_FILE = path.join(__dirname, 'presets.json');
+
+const JPEG_QUALITY = 92;
+const DEFAULT_PRESET_NAME = 'square';
+
+// Centered square crop re-encoded as JPEG: what the tool always did before presets.
+const BUILTIN_PRESETS = {
+  [DEFAULT_PRESET_NAME]: {
+    aspectRatio: '1:1',
+    size: null,
+    fit: 'crop',
+    background: '#ffffff',
+    format: 'jpeg',
+    quality: JPEG_QUALITY
+  }
+};
+
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', png: 'png' };
+const FIT_MODES = ['crop', 'smart', 'pad'];
+
+// Steps run in order on the decoded, EXIF-rotated image. Each receives
+// { data, info } raw pixels plus the context and returns the same shape.
+// Presets with a `backdrop` section get 'whiten' in front of the default chain.
+const steps = new Map();
+const DEFAULT_STEPS = ['frame', 'resize'];
+
+function registerStep(name, fn) {
+  steps.set(name, fn);
+}
+
+function loadPresetConfig() {
+  const config = readJsonFile(PRESETS_FILE, {}) || {};
+  return {
+    defaultPreset: config.defaultPreset || DEFAULT_PRESET_NAME,
+    presets: { ...BUILTIN_PRESETS, ...(config.presets || {}) },
+    productTypes: config.productTypes || {},
+    products: config.products || {}
+  };
+}
+
+function normalizePreset(name, raw) {
+  const preset = { ...BUILTIN_PRESETS[DEFAULT_PRESET_NAME], ...(raw || {}) };
+  const format = String(preset.format || 'jpeg').toLowerCase().replace('jpg', 'jpeg');
+  const backdrop = normalizeBackdropOptions(preset.backdrop);
+  const defaultSteps = backdrop ? ['whiten', ...DEFAULT_STEPS] : DEFAULT_STEPS;
+
+  return {
+    name,
+    aspectRatio: parseAspectRatio(preset.aspectRatio),
+    size: Number(preset.size) > 0 ? Math.round(Number(preset.size)) : null,
+    fit: FIT_MODES.includes(preset.fit) ? preset.fit : 'crop',
+    margin: Number(preset.margin) >= 0 ? Number(preset.margin) : DEFAULT_MARGIN,
+    background: preset.background || '#ffffff',
+    format: FORMAT_EXTENSIONS[format] ? format : 'jpeg',
+    quality: Number(preset.quality) > 0 ? Math.min(Number(preset.quality), 100) : JPEG_QUALITY,
+    backdrop,
+    steps: Array.isArray(preset.steps) && preset.steps.length ? preset.steps : defaultSteps,
+    options: preset.options || {}
+  };
+}
+
+// Accepts "4:5", "1.25" or a number. Returns width / height, or null to keep the shot's ratio.
+function parseAspectRatio(value) {
+  if (value === null || value === undefined || value === '' || value === 'original') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const parts = String(value).split(':').map(Number);
+  if (parts.length === 2 && parts[0] > 0 && parts[1] > 0) return parts[0] / parts[1];
+  const single = Number(value);
+  return single > 0 ? single : null;
+}
+
+function listPresets() {
+  const config = loadPresetConfig();
+  return {
+    defaultPreset: config.defaultPreset,
+    presets: Object.keys(config.presets).map(name => normalizePreset(name, config.presets[name]))
+  };
+}
+
+// Explicit choice wins, then a per-product entry, then the product type, then the default.
+function resolvePresetName(product, requested) {
+  const config = loadPresetConfig();
+  const candidates = [
+    requested,
+    product && product.preset,
+    product && config.products[String(product.id)],
+    product && product.product_type && config.productTypes[product.product_type]
+  ];
+  const match = candidates.find(name => name && config.presets[name]);
+  return match || (config.presets[config.defaultPreset] ? config.defaultPreset : DEFAULT_PRESET_NAME);
+}
+
+function getPreset(name) {
+  const config = loadPresetConfig();
+  const presetName = config.presets[name] ? name : resolvePresetName(null);
+  return normalizePreset(presetName, config.presets[presetName]);
+}
+
+function fromRaw(image) {
+  return sharp(image.data, { raw: image.info });
+}
+
+function toRaw(pipeline) {
+  return pipeline.raw().toBuffer({ resolveWithObject: true });
+}
+
+// Cleared the first time sharp fails on a HEIF file, so later ones skip straight to WASM.
+let nativeHeif = true;
+
+// Decoded raw pixels in display orientation. HEIC/HEIF goes through sharp when the
+// local libvips can read it and through the WASM decoder otherwise.
+async function loadImage(filePath) {
+  if (!isHeifFile(filePath) || nativeHeif) {
+    try {
+      return await toRaw(sharp(filePath).rotate());
+    } catch (err) {
+      if (!isHeifFile(filePath)) throw err;
+      nativeHeif = false;
+      console.warn('sharp cannot decode HEIF here, using the WASM decoder:', err.message);
+    }
+  }
+  return decodeHeif(filePath);
+}
+
+// Display-oriented pipeline and size. Other formats only read the header here.
+async function openImage(filePath) {
+  if (isHeifFile(filePath)) {
+    const image = await loadImage(filePath);
+    return { pipeline: fromRaw(image), width: image.info.width, height: image.info.height };
+  }
+
+  const meta = await sharp(filePath).metadata();
+  const swap = [5, 6, 7, 8].includes(meta.orientation || 1);
+  return {
+    pipeline: sharp(filePath).rotate(),
+    width: swap ? meta.height : meta.width,
+    height: swap ? meta.width : meta.height
+  };
+}
+
+// Swap the shooting backdrop for a flat colour before framing.
+registerStep('whiten', (image, ctx) => whitenBackdrop(image, ctx.preset.backdrop || true));
+
+// Crop box in full-size pixels for the rotated image. A manual box from the queue wins,
+// then subject detection for 'smart' presets, then a centered crop.
+async function computeCropBox(pipeline, width, height, preset, manualBox) {
+  const ratio = preset.aspectRatio || width / height;
+
+  if (isValidRelativeBox(manualBox)) {
+    const box = fromRelativeBox(manualBox, width, height);
+    return { box: fitCropBox(width, height, box, ratio, 0), source: 'manual' };
+  }
+  if (preset.fit === 'smart') {
+    return detectCropBox(pipeline, width, height, ratio, preset.margin);
+  }
+  return { box: centeredCropBox(width, height, ratio), source: 'center' };
+}
+
+// Crop (centered, subject-aware or manual) or pad to the preset's aspect ratio.
+registerStep('frame', async (image, ctx) => {
+  const ratio = ctx.preset.aspectRatio;
+  if (!ratio) return image;
+
+  const { width, height } = image.info;
+  const current = width / height;
+  const sameRatio = Math.abs(current - ratio) < 0.001;
+
+  if (ctx.preset.fit === 'pad') {
+    if (sameRatio) return image;
+    const targetW = current < ratio ? Math.round(height * ratio) : width;
+    const targetH = current < ratio ? height : Math.round(width / ratio);
+    const left = Math.floor((targetW - width) / 2);
+    const top = Math.floor((targetH - height) / 2);
+    return toRaw(fromRaw(image).extend({
+      left,
+      right: targetW - width - left,
+      top,
+      bottom: targetH - height - top,
+      background: ctx.preset.background
+    }));
+  }
+
+  if (sameRatio && ctx.preset.fit === 'crop' && !isValidRelativeBox(ctx.cropBox)) return image;
+
+  const { box, source } = await computeCropBox(fromRaw(image), width, height, ctx.preset, ctx.cropBox);
+  if (source !== 'center') console.log(`Cropping ${path.basename(ctx.filePath)} using ${source} box`, box);
+  return toRaw(fromRaw(image).extract(box));
+});
+
+// Fit the longest edge to the preset size. Never upscales.
+registerStep('resize', async (image, ctx) => {
+  const size = ctx.preset.size;
+  if (!size) return image;
+
+  const { width, height } = image.info;
+  if (Math.max(width, height) <= size) return image;
+
+  return toRaw(fromRaw(image).resize({
+    width: width >= height ? size : null,
+    height: height > width ? size : null
+  }));
+});
+
+function encode(pipeline, preset) {
+  if (preset.format === 'png') return pipeline.png();
+  if (preset.format === 'webp') return pipeline.webp({ quality: preset.quality });
+  return pipeline.jpeg({ quality: preset.quality });
+}
+
+// `baseName` comes from the product (see image-names.js); without one the camera file
+// name is kept with the preset appended.
+function outputFilename(filePath, preset, baseName) {
+  const ext = FORMAT_EXTENSIONS[preset.format];
+  if (baseName) return `${baseName}.${ext}`;
+  return `${path.basename(filePath, path.extname(filePath))}-${preset.name}.${ext}`;
+}
+
+// Decode, apply EXIF orientation, run the preset's steps and encode.
+// Rotation bakes orientation into the pixels so Shopify displays correctly.
+async function processImage(filePath, presetName, extra = {}) {
+  const preset = getPreset(presetName);
+  const filename = outputFilename(filePath, preset, extra.baseName);
+
+  try {
+    const ctx = { filePath, preset, ...extra };
+    let image = await loadImage(filePath);
+
+    for (const stepName of preset.steps) {
+      const step = steps.get(stepName);
+      if (!step) {
+        console.warn('Unknown image step in preset', preset.name, stepName);
+        continue;
+      }
+      image = await step(image, ctx);
+    }
+
+    const buffer = await encode(fromRaw(image), preset).toBuffer();
+    console.log(`Image prepared for upload with preset "${preset.name}":`, filename);
+    return { filename, buffer, preset: preset.name };
+  } catch (err) {
+    // The original is never sent in its place: it would skip the preset's crop and
+    // orientation, and a HEIC would reach Shopify in a format it does not take.
+    console.error('Error processing image for', filePath, err);
+    throw err;
+  }
+}
+
+// Detected boxes are cached by file, mtime and preset so the queue grid can poll cheaply.
+const cropPreviewCache = new Map();
+
+// Crop box for the queue UI, as fractions of the rotated image. Pad presets have no box.
+async function getCropPreview(filePath, presetName, manualBox) {
+  const preset = getPreset(presetName);
+  if (preset.fit === 'pad' || !preset.aspectRatio) {
+    return { preset: preset.name, box: null, source: null };
+  }
+
+  const stat = await fs.promises.stat(filePath);
+  const cacheKey = `${filePath}|${stat.mtimeMs}|${stat.size}|${preset.name}|${JSON.stringify(manualBox || null)}`;
+  if (cropPreviewCache.has(cacheKey)) return cropPreviewCache.get(cacheKey);
+
+  const { pipeline, width, height } = await openImage(filePath);
+  const { box, source } = await computeCropBox(pipeline, width, height, preset, manualBox);
+  const result = {
+    preset: preset.name,
+    imageWidth: width,
+    imageHeight: height,
+    aspectRatio: preset.aspectRatio,
+    box: toRelativeBox(box, width, height),
+    source
+  };
+
+  if (cropPreviewCache.size > 500) cropPreviewCache.clear();
+  cropPreviewCache.set(cacheKey, result);
+  return result;
+}
+
+// Display-oriented JPEG no larger than `size` on either side, for the browser. HEIC goes
+// through here too, since browsers outside Safari cannot show it.
+async function renderPreview(filePath, size) {
+  const { pipeline } = await openImage(filePath);
+  return pipeline
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// Default preset: normalize EXIF orientation + crop to a centered square JPEG.
+function cropImageToSquare(filePath) {
+  return processImage(filePath, DEFAULT_PRESET_NAME);
+}
+
+module.exports = {
+  cropImageToSquare,
+  getCropPreview,
+  getPreset,
+  listPresets,
+  openImage,
+  processImage,
+  registerStep,
+  renderPreview,
+  resolvePresetName
+};
@@ -0,0 +1,118 @@
+// ingest.js
+// Decides when a file that appeared in a watch folder is ready to queue. Tethering and
+// phone sync tools write slowly and sometimes under temporary names, so a file is only
+// accepted once it decodes end to end; files that never do are moved to Quarantine/.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { isHeifFile } = require('./heif');
+const { moveFileInto } = require('./move-file');
+
+const QUARANTINE_DIR = path.join(__dirname, 'Quarantine');
+
+// Hidden files, Office/Adobe style "~" prefixes and the suffixes browsers, sync tools and
+// tethering software write to before renaming into place.
+const TEMP_FILE_PATTERN = /(^|[\/\\])[.~]|\.(tmp|temp|part|partial|crdownload|download|filepart)$/i;
+
+// chokidar holds 'add' until the size has stopped changing for this long.
+const WRITE_STABILITY_MS = 2000;
+const WRITE_POLL_MS = 250;
+
+// A file that still fails after this many checks is treated as broken, not in progress.
+const MAX_CHECKS = 4;
+const CHECK_INTERVAL_MS = 2000;
+// Startup scans can turn up hundreds of files; decode only a couple at a time.
+const MAX_CONCURRENT_CHECKS = 2;
+
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+let activeChecks = 0;
+const waitingChecks = [];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withCheckSlot(fn) {
+  if (activeChecks >= MAX_CONCURRENT_CHECKS) {
+    await new Promise(resolve => waitingChecks.push(resolve));
+  }
+  activeChecks += 1;
+  try {
+    return await fn();
+  } finally {
+    activeChecks -= 1;
+    if (waitingChecks.length) waitingChecks.shift()();
+  }
+}
+
+function isTempFile(filePath) {
+  return TEMP_FILE_PATTERN.test(filePath);
+}
+
+// The WASM decoder is too slow to run on every arrival, so HEIF only gets a container check.
+async function checkHeifHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, 12, 0);
+    if (bytesRead < 12 || header.toString('ascii', 4, 8) !== 'ftyp') {
+      throw new Error('Missing HEIF file header');
+    }
+    const brand = header.toString('ascii', 8, 12);
+    if (!HEIF_BRANDS.includes(brand)) throw new Error(`Unexpected HEIF brand "${brand}"`);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Throws when the file is not a complete image. JPEG and PNG are decoded at a fraction of
+// their size with truncation treated as an error, which reads the whole file cheaply.
+async function checkImageComplete(filePath) {
+  const stat = await fs.promises.stat(filePath);
+  if (!stat.size) throw new Error('File is empty');
+
+  if (isHeifFile(filePath)) {
+    await checkHeifHeader(filePath);
+    return;
+  }
+
+  await sharp(filePath, { failOn: 'truncated' })
+    .resize(64, 64, { fit: 'inside' })
+    .toBuffer();
+}
+
+// Resolves { ok: true } once the file decodes, or { ok: false, reason } after MAX_CHECKS.
+// A file that disappears meanwhile was renamed or removed: { ok: false, missing: true }.
+async function waitForCompleteImage(filePath) {
+  let lastError = null;
+
+  for (let check = 1; check <= MAX_CHECKS; check += 1) {
+    if (!fs.existsSync(filePath)) return { ok: false, missing: true };
+    try {
+      await withCheckSlot(() => checkImageComplete(filePath));
+      return { ok: true };
+    } catch (err) {
+      lastError = err;
+      console.warn(`Image not complete yet (check ${check}/${MAX_CHECKS}):`, filePath, err.message);
+    }
+    if (check < MAX_CHECKS) await sleep(CHECK_INTERVAL_MS);
+  }
+
+  if (!fs.existsSync(filePath)) return { ok: false, missing: true };
+  return { ok: false, reason: lastError ? lastError.message : 'Could not read image' };
+}
+
+// Moves the file out of the watch folder so it is not picked up again. Returns the new path.
+function quarantineFile(filePath, stationName) {
+  return moveFileInto(filePath, path.join(QUARANTINE_DIR, stationName));
+}
+
+module.exports = {
+  QUARANTINE_DIR,
+  WRITE_POLL_MS,
+  WRITE_STABILITY_MS,
+  isTempFile,
+  quarantineFile,
+  waitForCompleteImage
+};
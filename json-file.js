@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+function readJsonFile(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.error('Failed to read JSON file, ignoring contents', filePath, err.message);
+    return fallback;
+  }
+}
+
+// Write to a temp file first and rename over the target so a crash mid-write
+// never leaves a truncated file behind.
+function writeJsonFile(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,35 @@
+// move-file.js
+// Moves a file into a folder without overwriting anything already there.
+const fs = require('fs');
+const path = require('path');
+
+// "IMG_1.jpg" becomes "IMG_1-2.jpg", "IMG_1-3.jpg", ... when the name is taken.
+function uniqueTarget(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let target = path.join(dir, fileName);
+  for (let n = 2; fs.existsSync(target); n += 1) {
+    target = path.join(dir, `${base}-${n}${ext}`);
+  }
+  return target;
+}
+
+// Returns the new path.
+async function moveFileInto(filePath, dir, fileName = path.basename(filePath)) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const target = uniqueTarget(dir, fileName);
+
+  try {
+    await fs.promises.rename(filePath, target);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    // Folders on another drive cannot be renamed across.
+    await fs.promises.copyFile(filePath, target);
+    await fs.promises.unlink(filePath);
+  }
+  return target;
+}
+
+module.exports = {
+  moveFileInto
+};
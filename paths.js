@@ -30,6 +30,22 @@ function parseStoreConfig(value) {
   return { stores, storeMap };
 }
 
+// STATION_<name>_DIR=<folder> declares a named photo station with its own watch folder.
+function parseStationConfig(entries) {
+  const stationMap = {};
+
+  Object.keys(entries).forEach(key => {
+    const match = key.match(/^STATION_(.+)_DIR$/i);
+    if (!match) return;
+    const name = match[1].trim();
+    const dir = entries[key];
+    if (!name || !dir) return;
+    stationMap[name] = dir;
+  });
+
+  return stationMap;
+}
+
 function loadPaths() {
   if (!fs.existsSync(PATHS_FILE)) {
     return {};
@@ -59,6 +75,7 @@ function loadPaths() {
   const parsedStores = parseStoreConfig(entries.STORES);
   entries.STORES_LIST = parsedStores.stores;
   entries.STORES_MAP = parsedStores.storeMap;
+  entries.STATIONS_MAP = parseStationConfig(entries);
   return entries;
 }
 
@@ -0,0 +1,145 @@
+// product-edits.js
+// Corrections the photographer makes to the current product while shooting. They are
+// checked when Done is pressed and written to Shopify by the upload job, field by field.
+const localPaths = require('./paths');
+const { updateProductFields, updateVariantFields } = require('./shopify');
+
+// CONDITION_METAFIELD=<namespace>.<key> in paths.txt, custom.condition by default.
+const [CONDITION_NAMESPACE, CONDITION_KEY] = (() => {
+  const parts = String(localPaths.CONDITION_METAFIELD || 'custom.condition').split('.');
+  return parts.length === 2 && parts[0] && parts[1] ? parts : ['custom', 'condition'];
+})();
+// CONDITION_VALUES=New|Like new|Used limits the condition to a list; unset allows any text.
+const CONDITION_VALUES = String(localPaths.CONDITION_VALUES || '')
+  .split('|')
+  .map(value => value.trim())
+  .filter(Boolean);
+
+const PRODUCT_FIELDS = ['title', 'tags', 'product_type', 'condition'];
+const VARIANT_FIELDS = ['sku', 'barcode'];
+const MAX_TEXT_LENGTH = 255;
+const MAX_TAGS = 250;
+
+function getEditConfig() {
+  return {
+    fields: [...PRODUCT_FIELDS, ...VARIANT_FIELDS],
+    condition: { namespace: CONDITION_NAMESPACE, key: CONDITION_KEY, values: CONDITION_VALUES }
+  };
+}
+
+// GTIN-8/12/13/14 end in a check digit; a mistyped digit almost always breaks it.
+function hasValidCheckDigit(digits) {
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+function checkText(value, label, { required = false } = {}) {
+  if (typeof value !== 'string') return `${label} must be text`;
+  if (required && !value.trim()) return `${label} cannot be empty`;
+  if (value.length > MAX_TEXT_LENGTH) return `${label} is longer than ${MAX_TEXT_LENGTH} characters`;
+  if (/[\r\n]/.test(value)) return `${label} cannot contain line breaks`;
+  return null;
+}
+
+const VALIDATORS = {
+  title: value => checkText(value, 'Title', { required: true }),
+  product_type: value => checkText(value, 'Product type'),
+  tags: value => {
+    if (!Array.isArray(value)) return 'Tags must be a list';
+    if (value.length > MAX_TAGS) return `No more than ${MAX_TAGS} tags`;
+    for (const tag of value) {
+      const error = checkText(tag, `Tag "${tag.slice(0, 20)}"`);
+      if (error) return error;
+    }
+    return null;
+  },
+  sku: value => checkText(value, 'SKU', { required: true }) || (/\s/.test(value) ? 'SKU cannot contain spaces' : null),
+  barcode: value => {
+    const textError = checkText(value, 'Barcode');
+    if (textError) return textError;
+    if (value && !/^[A-Za-z0-9-]+$/.test(value)) return 'Barcode may only contain letters, digits and dashes';
+    if (/^\d+$/.test(value) && [8, 12, 13, 14].includes(value.length) && !hasValidCheckDigit(value)) {
+      return 'Barcode check digit does not match';
+    }
+    return null;
+  },
+  condition: value => {
+    const textError = checkText(value, 'Condition', { required: true });
+    if (textError) return textError;
+    if (CONDITION_VALUES.length && !CONDITION_VALUES.includes(value)) {
+      return `Condition must be one of ${CONDITION_VALUES.join(', ')}`;
+    }
+    return null;
+  }
+};
+
+function normalizeValue(field, value) {
+  if (field === 'tags') {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)));
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+// Resolves { edits, errors } where `errors` maps each rejected field to a message.
+// Unknown fields are rejected too, so a typo is not silently dropped.
+function validateProductEdits(raw, product) {
+  const edits = {};
+  const errors = {};
+  if (raw === undefined || raw === null) return { edits, errors };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { edits, errors: { edits: 'Edits must be an object' } };
+
+  Object.keys(raw).forEach(field => {
+    if (!VALIDATORS[field]) {
+      errors[field] = 'Not an editable field';
+      return;
+    }
+    const value = normalizeValue(field, raw[field]);
+    const error = VALIDATORS[field](value);
+    if (error) errors[field] = error;
+    else edits[field] = value;
+  });
+
+  const variantEdits = VARIANT_FIELDS.filter(field => field in edits);
+  if (variantEdits.length && !(product && product.variant_id)) {
+    variantEdits.forEach(field => {
+      delete edits[field];
+      errors[field] = 'Variant unknown; select the product again to edit it';
+    });
+  }
+  return { edits, errors };
+}
+
+// The product as it will be once the edits are in, for rules that match on its fields.
+function applyEditsToProduct(product, edits) {
+  const updated = { ...product };
+  ['title', 'tags', 'product_type', 'sku', 'barcode'].forEach(field => {
+    if (edits && field in edits) updated[field] = edits[field];
+  });
+  return updated;
+}
+
+// Writes the fields that are still pending. `previous` holds earlier results so a retry
+// only sends what failed. Resolves { [field]: { ok, error } }.
+async function saveProductEdits(product, edits, previous = {}) {
+  const pending = Object.keys(edits).filter(field => !(previous[field] && previous[field].ok));
+  const pick = fields => fields.reduce((picked, field) => {
+    if (pending.includes(field)) picked[field] = edits[field];
+    return picked;
+  }, {});
+
+  const productResults = await updateProductFields(product.id, pick(PRODUCT_FIELDS), {
+    namespace: CONDITION_NAMESPACE,
+    key: CONDITION_KEY
+  });
+  const variantResults = await updateVariantFields(product.id, product.variant_id, pick(VARIANT_FIELDS));
+  return { ...previous, ...productResults, ...variantResults };
+}
+
+module.exports = {
+  applyEditsToProduct,
+  getEditConfig,
+  saveProductEdits,
+  validateProductEdits
+};
@@ -0,0 +1,518 @@
+// product-index.js
+// Local index of products that still need photos. Built once by paging every product
+// through GraphQL, then kept current by syncing only products whose updated_at moved.
+const path = require('path');
+const { isOnline } = require('./connectivity');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const {
+  getInventoryLevelsForLocation,
+  getLocationIdForStoreName,
+  shopifyGraphql
+} = require('./shopify');
+
+const INDEX_FILE = path.join(__dirname, 'product-index.json');
+// Last product list served for each store, for when Shopify cannot be reached.
+const PRODUCT_LIST_FILE = path.join(__dirname, 'product-list-cache.json');
+
+const PAGE_SIZE = 25;
+const VARIANTS_PER_PRODUCT = 25;
+// Products with more variants than fit in the listing are read on their own in pages of this.
+const VARIANT_PAGE_SIZE = 250;
+// Background incremental sync is triggered by reads older than this.
+const SYNC_STALE_MS = 60 * 1000;
+// Deletions do not bump updated_at, so rebuild from scratch now and then.
+const FULL_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Stock changes do not bump updated_at either; a sync re-reads the indexed variants'
+// quantities once they are older than this.
+const INVENTORY_SYNC_INTERVAL_MS = 10 * 60 * 1000;
+const INVENTORY_BATCH_SIZE = 100;
+// Store stock is read live, newest products first, until the list is full or this many
+// inventory items have been checked. Answers are reused for INVENTORY_CACHE_MS.
+const MAX_STORE_INVENTORY_ITEMS = 2500;
+const STORE_INVENTORY_BATCH_SIZE = 250;
+const INVENTORY_CACHE_MS = 5 * 60 * 1000;
+
+// { products: { [id]: record }, lastUpdatedAt, syncedAt, fullSyncedAt, inventorySyncedAt }
+let index = null;
+let syncPromise = null;
+// `${locationId}:${inventoryItemId}` -> { available, fetchedAt }
+const storeInventoryCache = new Map();
+
+const VARIANT_FIELDS = `
+  fragment IndexVariant on ProductVariant {
+    legacyResourceId
+    title
+    sku
+    barcode
+    inventoryQuantity
+    inventoryItem { legacyResourceId }
+  }
+`;
+
+const PRODUCTS_QUERY = `
+  ${VARIANT_FIELDS}
+  query IndexProducts($first: Int!, $after: String, $query: String, $variantsFirst: Int!) {
+    products(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        legacyResourceId
+        title
+        status
+        createdAt
+        updatedAt
+        productType
+        vendor
+        tags
+        mediaCount { count }
+        variants(first: $variantsFirst) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ...IndexVariant }
+        }
+      }
+    }
+  }
+`;
+
+const VARIANTS_QUERY = `
+  ${VARIANT_FIELDS}
+  query ProductVariants($id: ID!, $first: Int!, $after: String) {
+    product(id: $id) {
+      variants(first: $first, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ...IndexVariant }
+      }
+    }
+  }
+`;
+
+const INVENTORY_QUERY = `
+  query IndexInventory($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant { legacyResourceId inventoryQuantity }
+    }
+  }
+`;
+
+function loadIndex() {
+  if (index) return index;
+  const saved = readJsonFile(INDEX_FILE);
+  index = saved && saved.products
+    ? saved
+    : { products: {}, lastUpdatedAt: null, syncedAt: null, fullSyncedAt: null, inventorySyncedAt: null };
+  return index;
+}
+
+function saveIndex() {
+  try {
+    writeJsonFile(INDEX_FILE, index);
+  } catch (err) {
+    console.error('Failed to save product index', INDEX_FILE, err);
+  }
+}
+
+// Records keep the REST field names the rest of the tool already uses.
+function toIndexRecord(node) {
+  return {
+    id: Number(node.legacyResourceId),
+    title: node.title,
+    status: String(node.status || '').toLowerCase(),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    product_type: node.productType || '',
+    vendor: node.vendor || '',
+    tags: Array.isArray(node.tags) ? node.tags : [],
+    media_count: node.mediaCount ? Number(node.mediaCount.count) : 0,
+    variants: (node.variants && node.variants.nodes ? node.variants.nodes : []).map(variant => ({
+      id: Number(variant.legacyResourceId),
+      title: variant.title,
+      sku: variant.sku || null,
+      barcode: variant.barcode || null,
+      inventory_quantity: Number(variant.inventoryQuantity || 0),
+      inventory_item_id: variant.inventoryItem ? Number(variant.inventoryItem.legacyResourceId) : null
+    }))
+  };
+}
+
+function needsPhotos(record) {
+  return record.status !== 'archived' && record.media_count === 0;
+}
+
+function applyRecord(products, record) {
+  if (needsPhotos(record)) {
+    products[record.id] = record;
+  } else {
+    delete products[record.id];
+  }
+}
+
+// The listing carries the first VARIANTS_PER_PRODUCT variants; the rest are paged in
+// here so stock and barcodes on later variants are not lost.
+async function completeVariants(nodes) {
+  for (const node of nodes) {
+    const variants = node.variants;
+    if (!variants || !variants.pageInfo || !variants.pageInfo.hasNextPage) continue;
+
+    let after = variants.pageInfo.endCursor;
+    while (after) {
+      const data = await shopifyGraphql(VARIANTS_QUERY, {
+        id: `gid://shopify/Product/${node.legacyResourceId}`,
+        first: VARIANT_PAGE_SIZE,
+        after
+      });
+      const connection = data && data.product && data.product.variants;
+      if (!connection) break;
+      variants.nodes.push(...connection.nodes);
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    }
+  }
+  return nodes;
+}
+
+async function fetchProductPages(searchQuery, onPage) {
+  let after = null;
+  let pages = 0;
+
+  do {
+    const data = await shopifyGraphql(PRODUCTS_QUERY, {
+      first: PAGE_SIZE,
+      after,
+      query: searchQuery,
+      variantsFirst: VARIANTS_PER_PRODUCT
+    });
+    const connection = data && data.products;
+    const nodes = connection && Array.isArray(connection.nodes) ? connection.nodes : [];
+    onPage((await completeVariants(nodes)).map(toIndexRecord));
+    pages += 1;
+
+    after = connection && connection.pageInfo && connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return pages;
+}
+
+async function runSync(full) {
+  const current = loadIndex();
+  const startedAt = new Date().toISOString();
+  const since = full ? null : current.lastUpdatedAt;
+  // Shopify search is inclusive of the timestamp, so the last product seen comes back once more.
+  const searchQuery = since ? `updated_at:>='${since}'` : null;
+  const products = full ? {} : current.products;
+  let lastUpdatedAt = full ? null : current.lastUpdatedAt;
+  let seen = 0;
+
+  console.log(full ? 'Product index: full sync started' : `Product index: syncing changes since ${since}`);
+
+  const pages = await fetchProductPages(searchQuery, records => {
+    records.forEach(record => {
+      applyRecord(products, record);
+      if (!lastUpdatedAt || record.updated_at > lastUpdatedAt) lastUpdatedAt = record.updated_at;
+    });
+    seen += records.length;
+  });
+
+  // A full sync has just read every quantity.
+  let inventorySyncedAt = full ? startedAt : current.inventorySyncedAt;
+  if (!full && isInventorySyncDue(current)) {
+    await refreshInventory(products);
+    inventorySyncedAt = startedAt;
+  }
+
+  index = {
+    products,
+    lastUpdatedAt,
+    syncedAt: startedAt,
+    fullSyncedAt: full ? startedAt : current.fullSyncedAt,
+    inventorySyncedAt
+  };
+  saveIndex();
+
+  console.log(
+    `Product index: ${full ? 'full' : 'incremental'} sync read ${seen} products in ${pages} pages,`,
+    `${Object.keys(products).length} need photos`
+  );
+  return index;
+}
+
+// Re-reads the stock of every indexed variant in place.
+async function refreshInventory(products) {
+  const variants = new Map();
+  Object.values(products).forEach(record => {
+    (record.variants || []).forEach(variant => variants.set(variant.id, variant));
+  });
+  const ids = Array.from(variants.keys());
+
+  for (let i = 0; i < ids.length; i += INVENTORY_BATCH_SIZE) {
+    const data = await shopifyGraphql(INVENTORY_QUERY, {
+      ids: ids.slice(i, i + INVENTORY_BATCH_SIZE).map(id => `gid://shopify/ProductVariant/${id}`)
+    });
+    const nodes = data && Array.isArray(data.nodes) ? data.nodes : [];
+    nodes.forEach(node => {
+      if (!node || !node.legacyResourceId) return;
+      const variant = variants.get(Number(node.legacyResourceId));
+      if (variant) variant.inventory_quantity = Number(node.inventoryQuantity || 0);
+    });
+  }
+  console.log(`Product index: refreshed stock for ${ids.length} variants`);
+}
+
+function isInventorySyncDue(current) {
+  if (!current.inventorySyncedAt) return true;
+  return Date.now() - new Date(current.inventorySyncedAt).getTime() > INVENTORY_SYNC_INTERVAL_MS;
+}
+
+function isFullSyncDue(current) {
+  if (!current.fullSyncedAt || !current.lastUpdatedAt) return true;
+  return Date.now() - new Date(current.fullSyncedAt).getTime() > FULL_SYNC_INTERVAL_MS;
+}
+
+// Concurrent callers share one sync run.
+function syncProductIndex(options = {}) {
+  if (syncPromise) return syncPromise;
+
+  const current = loadIndex();
+  const full = Boolean(options.full) || isFullSyncDue(current);
+
+  syncPromise = runSync(full)
+    .catch(err => {
+      console.error('Product index sync failed', err.message);
+      throw err;
+    })
+    .finally(() => {
+      syncPromise = null;
+    });
+  return syncPromise;
+}
+
+// Returns the indexed products, only waiting on Shopify when there is no index yet.
+async function getIndexedProducts(options = {}) {
+  const current = loadIndex();
+  const neverSynced = !current.syncedAt;
+
+  if (neverSynced || options.sync) {
+    await syncProductIndex();
+  } else if (Date.now() - new Date(current.syncedAt).getTime() > SYNC_STALE_MS) {
+    syncProductIndex().catch(() => {});
+  }
+
+  return Object.values(index.products);
+}
+
+// Deletions never show up in an incremental sync. A lookup that finds the product gone
+// removes it right away rather than at the next full sync.
+function forgetProduct(productId) {
+  const current = loadIndex();
+  if (!current.products[productId]) return;
+  delete current.products[productId];
+  saveIndex();
+  console.log('Product index: removed product no longer on Shopify', productId);
+}
+
+function getIndexStatus() {
+  const current = loadIndex();
+  return {
+    syncedAt: current.syncedAt,
+    fullSyncedAt: current.fullSyncedAt,
+    count: Object.keys(current.products).length,
+    syncing: Boolean(syncPromise)
+  };
+}
+
+function toSimpleProduct(p) {
+  const variant = Array.isArray(p.variants) && p.variants.length > 0 ? p.variants[0] : null;
+  const sku = variant ? variant.sku || null : null;
+
+  return {
+    id: p.id,
+    title: p.title,
+    status: p.status,
+    created_at: p.created_at,
+    product_type: p.product_type || '',
+    vendor: p.vendor || '',
+    tags: p.tags || [],
+    sku,
+    barcode: variant ? variant.barcode || null : null,
+    variant_id: variant ? variant.id : null,
+    variants: (p.variants || []).map(item => ({ id: item.id, title: item.title, sku: item.sku || null }))
+  };
+}
+
+function saveProductList(storeName, result) {
+  try {
+    const saved = readJsonFile(PRODUCT_LIST_FILE, {}) || {};
+    saved[storeName || ''] = { result, savedAt: new Date().toISOString() };
+    writeJsonFile(PRODUCT_LIST_FILE, saved);
+  } catch (err) {
+    console.error('Failed to save product list', PRODUCT_LIST_FILE, err);
+  }
+}
+
+function savedProductList(storeName) {
+  const saved = (readJsonFile(PRODUCT_LIST_FILE, {}) || {})[storeName || ''];
+  if (!saved) return null;
+  console.warn('Shopify unreachable, serving the product list saved at', saved.savedAt);
+  return { ...saved.result, offline: true, savedAt: saved.savedAt };
+}
+
+// Offline, the last list saved for the store is served instead, marked with
+// { offline: true, savedAt }. Other errors, and offline without a saved list, still throw.
+async function getRecentProductsWithoutImages(limit = 30, options = {}) {
+  let result;
+  try {
+    result = await findRecentProductsWithoutImages(limit, options);
+  } catch (err) {
+    if (!err.offline) throw err;
+    const saved = savedProductList(options.storeName);
+    if (!saved) throw err;
+    return saved;
+  }
+
+  // The index answers from its last sync even while its background sync fails, so an
+  // offline result is stale: it never replaces the saved list and is marked as such.
+  if (!isOnline()) {
+    return savedProductList(options.storeName)
+      || { ...result, offline: true, savedAt: result.meta.indexSyncedAt };
+  }
+  if (!result.error) saveProductList(options.storeName, result);
+  return result;
+}
+
+// Available stock at the location for each item, from the cache or one REST call per
+// batch for the rest. Items the location does not stock count as zero.
+async function availableAtLocation(itemIds, locationId) {
+  const now = Date.now();
+  const cacheKey = id => `${locationId}:${id}`;
+  const missing = itemIds.filter(id => {
+    const cached = storeInventoryCache.get(cacheKey(id));
+    return !cached || now - cached.fetchedAt > INVENTORY_CACHE_MS;
+  });
+
+  if (missing.length) {
+    const levels = await getInventoryLevelsForLocation(missing, locationId);
+    const fetched = new Map(levels.map(level => [level.inventory_item_id, Number(level.available || 0)]));
+    if (storeInventoryCache.size > 20000) storeInventoryCache.clear();
+    missing.forEach(id => storeInventoryCache.set(cacheKey(id), { available: fetched.get(id) || 0, fetchedAt: now }));
+  }
+
+  return new Map(itemIds.map(id => [id, storeInventoryCache.get(cacheKey(id)).available]));
+}
+
+// Newest products first, checked a batch at a time until `limit` are in stock. Stops after
+// MAX_STORE_INVENTORY_ITEMS items with { truncated: true } so a large backlog cannot turn
+// one list request into dozens of inventory calls.
+async function filterInStockAtLocation(products, locationId, limit) {
+  const newestFirst = products
+    .filter(product => (product.variants || []).some(variant => variant.inventory_item_id))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const inStock = [];
+  let checkedItems = 0;
+  let next = 0;
+
+  while (next < newestFirst.length && (!limit || inStock.length < limit)) {
+    if (checkedItems >= MAX_STORE_INVENTORY_ITEMS) {
+      console.warn(`Store inventory check stopped after ${checkedItems} items; older products were not checked`);
+      return { products: inStock, truncated: true };
+    }
+
+    const batch = [];
+    let batchItems = [];
+    while (next < newestFirst.length) {
+      const ids = newestFirst[next].variants.map(variant => variant.inventory_item_id).filter(Boolean);
+      if (batch.length && batchItems.length + ids.length > STORE_INVENTORY_BATCH_SIZE) break;
+      batch.push({ product: newestFirst[next], ids });
+      batchItems = batchItems.concat(ids);
+      next += 1;
+    }
+
+    const available = await availableAtLocation(Array.from(new Set(batchItems)), locationId);
+    checkedItems += batchItems.length;
+    batch.forEach(({ product, ids }) => {
+      if (ids.some(id => available.get(id) >= 1)) inStock.push(product);
+    });
+  }
+
+  return { products: inStock, truncated: false };
+}
+
+async function findRecentProductsWithoutImages(limit, options) {
+  const storeName = options.storeName || null;
+  const storeLocationId = options.storeLocationId || null;
+
+  const withoutImages = await getIndexedProducts({ sync: options.sync });
+
+  console.log('Products with no images in index:', withoutImages.length, storeName ? `(store "${storeName}")` : '');
+
+  let filtered = withoutImages;
+  let filterError = null;
+  const meta = {
+    scannedWithoutImages: withoutImages.length,
+    storeName: storeName || null,
+    locationId: null,
+    inventoryMatched: null,
+    inventoryTruncated: false,
+    indexSyncedAt: index.syncedAt,
+    index: getIndexStatus()
+  };
+
+  if (storeName) {
+    const locationId = storeLocationId || await getLocationIdForStoreName(storeName);
+    if (!locationId) {
+      console.warn('Store filter requested but no matching location found:', storeName);
+      filterError = `No Shopify location matched store "${storeName}"`;
+      return { products: [], meta, error: filterError };
+    }
+
+    meta.locationId = locationId;
+    const { products, truncated } = await filterInStockAtLocation(filtered, locationId, limit);
+    filtered = products;
+    meta.inventoryTruncated = truncated;
+    meta.inventoryMatched = filtered.length;
+  } else {
+    filtered = filtered.filter(p => {
+      if (!Array.isArray(p.variants) || p.variants.length === 0) return false;
+      return p.variants.some(variant => Number(variant.inventory_quantity) >= 1);
+    });
+  }
+
+  filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const top = (limit ? filtered.slice(0, limit) : filtered).map(toSimpleProduct);
+
+  console.log(`Returning ${top.length} most recent products with no images${limit ? ` (limit ${limit})` : ''}`);
+  return { products: top, meta, error: filterError };
+}
+
+const SEARCH_LIMIT = 25;
+
+// Any product on Shopify, photographed or not, for reshoots. Searches live rather than
+// through the index, which only keeps products still waiting for photos.
+async function searchProducts(term, options = {}) {
+  const text = String(term || '').replace(/["\\]/g, ' ').trim();
+  if (!text) return [];
+
+  // A number may be the product id as well as part of a SKU or barcode.
+  const filters = [/^\d+$/.test(text) ? `(id:${text} OR "${text}")` : `"${text}"`];
+  if (!options.includeArchived) filters.push('-status:archived');
+  const data = await shopifyGraphql(PRODUCTS_QUERY, {
+    first: SEARCH_LIMIT,
+    after: null,
+    query: filters.join(' '),
+    variantsFirst: VARIANTS_PER_PRODUCT
+  });
+
+  const nodes = data && data.products && Array.isArray(data.products.nodes) ? data.products.nodes : [];
+  return (await completeVariants(nodes)).map(toIndexRecord).map(record => ({
+    ...toSimpleProduct(record),
+    image_count: record.media_count
+  }));
+}
+
+module.exports = {
+  forgetProduct,
+  getIndexStatus,
+  getIndexedProducts,
+  getRecentProductsWithoutImages,
+  searchProducts,
+  syncProductIndex
+};
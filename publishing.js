@@ -0,0 +1,84 @@
+// publishing.js
+// Decides what happens to a product once its photos are up: the status it is given, the
+// sales channels it is published to and any tags added. Rules live in publishing.json:
+//
+// {
+//   "defaults": { "status": "active", "channels": [...], "addTags": [] },
+//   "rules": [
+//     { "name": "Hats stay off Google",
+//       "match": { "stores": [], "productTypes": ["Hats"], "vendors": [], "tags": [] },
+//       "channels": ["Online Store", "Point of Sale"] }
+//   ]
+// }
+//
+// The first rule whose matchers all fit wins. Within a matcher any listed value will do,
+// compared case-insensitively; empty or missing matchers match everything. Fields a rule
+// leaves out come from the defaults.
+const path = require('path');
+const { readJsonFile } = require('./json-file');
+const { DEFAULT_PUBLICATION_NAMES } = require('./shopify');
+
+const PUBLISHING_FILE = path.join(__dirname, 'publishing.json');
+
+const STATUSES = ['active', 'draft'];
+const DEFAULT_STATUS = 'active';
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+function normalizeTarget(raw, fallback) {
+  const status = String(raw.status || '').toLowerCase();
+  return {
+    status: STATUSES.includes(status) ? status : fallback.status,
+    channels: Array.isArray(raw.channels) ? toList(raw.channels) : fallback.channels,
+    addTags: Array.isArray(raw.addTags) ? toList(raw.addTags) : fallback.addTags
+  };
+}
+
+function loadPublishingConfig() {
+  const config = readJsonFile(PUBLISHING_FILE, {}) || {};
+  const defaults = normalizeTarget(config.defaults || {}, {
+    status: DEFAULT_STATUS,
+    channels: DEFAULT_PUBLICATION_NAMES.slice(),
+    addTags: []
+  });
+  const rules = (Array.isArray(config.rules) ? config.rules : []).map((rule, index) => ({
+    name: rule.name || `Rule ${index + 1}`,
+    match: rule.match || {},
+    ...normalizeTarget(rule, defaults)
+  }));
+  return { defaults, rules };
+}
+
+function matchesAny(wanted, values) {
+  const list = toList(wanted).map(value => value.toLowerCase());
+  if (!list.length) return true;
+  return toList(values).some(value => list.includes(value.toLowerCase()));
+}
+
+function ruleMatches(rule, product, store) {
+  const { match } = rule;
+  return matchesAny(match.stores, store)
+    && matchesAny(match.productTypes, product.product_type)
+    && matchesAny(match.vendors, product.vendor)
+    && matchesAny(match.tags, product.tags);
+}
+
+// Resolves { rule: name or null for the defaults, status, channels, addTags }.
+function resolvePublishing(product, store = product && product.store) {
+  const { defaults, rules } = loadPublishingConfig();
+  const rule = product ? rules.find(candidate => ruleMatches(candidate, product, store)) : null;
+  const target = rule || defaults;
+  return {
+    rule: rule ? rule.name : null,
+    status: target.status,
+    channels: target.channels,
+    addTags: target.addTags
+  };
+}
+
+module.exports = {
+  resolvePublishing
+};
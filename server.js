@@ -4,108 +4,218 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const chokidar = require('chokidar');
-const sharp = require('sharp');
 const localPaths = require('./paths');
+const { emptySession, loadSessions, saveSessions } = require('./session-store');
 
+const { getActiveLocations } = require('./shopify');
+const { getConnectivity, onReconnect } = require('./connectivity');
+const { forgetProduct, getRecentProductsWithoutImages, searchProducts, syncProductIndex } = require('./product-index');
+const { startArchivePruning } = require('./archive');
+const { scanForProduct } = require('./barcode');
+const { broadcast, closeEventStreams, openEventStream } = require('./events');
+const { isHeifFile } = require('./heif');
+const { applyEditsToProduct, getEditConfig, validateProductEdits } = require('./product-edits');
+const { imageNames, normalizeNaming } = require('./image-names');
+const { resolvePublishing } = require('./publishing');
+const { historyToCsv, queryHistory } = require('./history');
 const {
-  getActiveLocations,
-  getRecentProductsWithoutImages,
-  uploadImagesToProduct
-} = require('./shopify');
+  loadGallery,
+  pendingGallery,
+  planGallery,
+  reconcileLayout,
+  removedImages,
+  setLayout
+} = require('./gallery');
+const {
+  WRITE_POLL_MS,
+  WRITE_STABILITY_MS,
+  isTempFile,
+  quarantineFile,
+  waitForCompleteImage
+} = require('./ingest');
+const { getCropPreview, listPresets, resolvePresetName } = require('./image-processing');
+const {
+  FULL_PREVIEW_SIZE,
+  THUMBNAIL_SIZE,
+  getRendition,
+  pruneThumbnails,
+  sourceVersion
+} = require('./thumbnails');
+const { isValidRelativeBox } = require('./smart-crop');
+const {
+  RETENTION_HOURS: TRASH_RETENTION_HOURS,
+  emptyTrash,
+  findTrashItem,
+  listTrash,
+  moveToTrash,
+  restoreFromTrash,
+  startTrashEmptying
+} = require('./trash');
+const {
+  createJob,
+  isFileInJob,
+  listJobs,
+  retryJob,
+  retryPublish,
+  startUploadWorker,
+  summarizeJob
+} = require('./upload-jobs');
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3000;
 
 // Folder where employees drop files
 const watchDirOverride = localPaths.PHOTO_WATCH_DIR;
+const stationDirs = localPaths.STATIONS_MAP || {};
+const stationNames = Object.keys(stationDirs);
 
-if (!watchDirOverride) {
+if (!watchDirOverride && !stationNames.length) {
   throw new Error('PHOTO_WATCH_DIR is required in paths.txt');
 }
 
-const WATCH_DIR = path.resolve(watchDirOverride);
+const WATCH_DIR = watchDirOverride ? path.resolve(watchDirOverride) : null;
 
-const JPEG_QUALITY = 92;
+const DEFAULT_STATION = 'default';
 
-let currentProduct = null;    // { id, title, sku, created_at }
-let queuedFiles = [];         // absolute file paths for current product
+// Hang-tag barcodes pick the product unless BARCODE_SCAN=off in paths.txt.
+const BARCODE_SCAN = String(localPaths.BARCODE_SCAN || 'on').trim().toLowerCase() !== 'off';
+const MAX_SCAN_NOTICES = 5;
 
-function deleteUploadedFiles(files) {
-  if (!files || files.length === 0) return;
+// Reshoot search leaves archived products out unless RESHOOT_ARCHIVED=on in paths.txt.
+const RESHOOT_ARCHIVED = String(localPaths.RESHOOT_ARCHIVED || 'off').trim().toLowerCase() === 'on';
 
-  files.forEach(filePath => {
-    try {
-      if (!fs.existsSync(filePath)) {
-        console.warn('File missing when deleting, skipping', filePath);
-        return;
-      }
-      fs.unlinkSync(filePath);
-      console.log('Deleted uploaded file', filePath);
-    } catch (e) {
-      console.error('Error deleting file', filePath, e);
-    }
-  });
+// Each station has its own watch folder and its own session:
+// { name, watchDir, product, selectedAt, queue: [{ filePath, addedAt, crop, variantId, naming }], restoredAt,
+//   selectedBy: 'hand' or 'barcode', how the product was picked,
+//   store: last store the photographer picked products from, used for the archive,
+//   gallery: the product's current Shopify images and their final order when it has any,
+//   edits: validated field changes typed in so far, applied on Done,
+//   inbox: [{ filePath, addedAt }] of photos not assigned to a product yet,
+//   checking: Set of paths being verified, arrivals: promise that settles once the last
+//   file to arrive has been placed, quarantined: [{ name, reason, quarantinedAt }],
+//   scanNotices: [{ id, name, relPath, code, format, status, reason, product, candidates, at }] newest first }
+const stations = new Map();
+
+function resolveStationDir(dir) {
+  if (path.isAbsolute(dir) || !WATCH_DIR) return path.resolve(dir);
+  return path.resolve(WATCH_DIR, dir);
 }
 
-// Normalize EXIF orientation + crop to a centered square, then re-encode as JPEG.
-// This removes EXIF orientation so Shopify displays correctly.
-async function cropImageToSquare(filePath) {
-  try {
-    const ext = path.extname(filePath);
-    const baseName = path.basename(filePath, ext);
-    const filename = `${baseName}-square.jpg`;
-
-    const meta = await sharp(filePath).metadata();
-    const width = meta.width;
-    const height = meta.height;
-
-    if (!width || !height) {
-      console.warn('Cannot read image dimensions, normalizing without crop for', filePath);
-      const buffer = await sharp(filePath)
-        .rotate()
-        .jpeg({ quality: JPEG_QUALITY })
-        .toBuffer();
-      return { filename, buffer };
-    }
+function createStation(name, watchDir, saved) {
+  const session = saved || emptySession();
+  const station = {
+    name,
+    watchDir,
+    product: session.product,
+    selectedAt: session.selectedAt,
+    selectedBy: session.selectedBy,
+    queue: session.queue,
+    gallery: session.gallery || null,
+    edits: session.edits || {},
+    restoredAt: session.product ? new Date().toISOString() : null,
+    store: session.product ? session.product.store || null : null,
+    inbox: [],
+    checking: new Set(),
+    arrivals: Promise.resolve(),
+    quarantined: [],
+    scanNotices: []
+  };
 
-    // metadata.width/height are from the file as-stored. If EXIF orientation rotates 90/270,
-    // swap to compute post-rotate crop coordinates.
-    const orientation = meta.orientation || 1;
-    let rotatedW = width;
-    let rotatedH = height;
-    if ([5, 6, 7, 8].includes(orientation)) {
-      rotatedW = height;
-      rotatedH = width;
+  if (station.product) {
+    console.log(
+      `Restored session for station "${name}" product`, station.product.id,
+      'with', station.queue.length, 'queued files'
+    );
+  }
+  return station;
+}
+
+(function initStations() {
+  const savedSessions = loadSessions();
+  const configs = stationNames.length
+    ? stationNames.map(name => ({ name, watchDir: resolveStationDir(stationDirs[name]) }))
+    : [{ name: DEFAULT_STATION, watchDir: WATCH_DIR }];
+
+  configs.forEach(({ name, watchDir }) => {
+    if (stationNames.length && !fs.existsSync(watchDir)) {
+      fs.mkdirSync(watchDir, { recursive: true });
+      console.log(`Created watch folder for station "${name}":`, watchDir);
     }
+    stations.set(name, createStation(name, watchDir, savedSessions[name]));
+  });
+})();
 
-    const size = Math.min(rotatedW, rotatedH);
-    const left = Math.floor((rotatedW - size) / 2);
-    const top = Math.floor((rotatedH - size) / 2);
+// Galleries that were still loading at shutdown are fetched again.
+setImmediate(() => {
+  stations.forEach(station => {
+    if (station.product && station.product.image_count && !station.gallery) loadStationGallery(station);
+  });
+});
 
-    let pipeline = sharp(filePath).rotate();
+// Galleries that failed while offline are fetched once Shopify answers again.
+onReconnect(() => {
+  stations.forEach(station => {
+    if (station.product && station.gallery && station.gallery.status === 'failed') loadStationGallery(station);
+  });
+});
 
-    // Only crop if needed (still re-encode either way)
-    if (rotatedW !== rotatedH) {
-      pipeline = pipeline.extract({ left, top, width: size, height: size });
-    }
+function persistSessions() {
+  const sessions = {};
+  stations.forEach((station, name) => {
+    sessions[name] = {
+      product: station.product,
+      selectedAt: station.selectedAt,
+      selectedBy: station.selectedBy,
+      queue: station.queue,
+      gallery: station.gallery,
+      edits: station.edits
+    };
+  });
+  saveSessions(sessions);
+}
 
-    const buffer = await pipeline
-      .jpeg({ quality: JPEG_QUALITY })
-      .toBuffer();
+// Station comes from the query string (GET) or JSON body (POST). With a single
+// station configured it may be omitted.
+function getRequestStation(req) {
+  const raw = (req.body && req.body.station) || req.query.station;
+  const name = typeof raw === 'string' ? raw.trim() : '';
+  if (name) return stations.get(name) || null;
+  if (stations.size === 1) return stations.values().next().value;
+  return null;
+}
 
-    console.log('Normalized + square image prepared for upload:', filename);
-    return { filename, buffer };
-  } catch (err) {
-    console.error('Error normalizing/cropping image for', filePath, err);
-    // Fall back to original if processing fails
-    try {
-      const buffer = await fs.promises.readFile(filePath);
-      return { filename: path.basename(filePath), buffer };
-    } catch (readErr) {
-      console.error('Error reading original image after crop failure', filePath, readErr);
-      throw readErr;
-    }
+function requireStation(req, res) {
+  const station = getRequestStation(req);
+  if (!station) {
+    res.status(400).json({ error: 'Missing or unknown station' });
+    return null;
   }
+  return station;
+}
+
+function isInsideDir(dir, absPath) {
+  const rel = path.relative(dir, absPath);
+  return Boolean(rel) && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+function findQueuedIndex(station, filePath) {
+  const target = path.normalize(filePath);
+  return station.queue.findIndex(entry => path.normalize(entry.filePath) === target);
+}
+
+function findInboxIndex(station, filePath) {
+  const target = path.normalize(filePath);
+  return station.inbox.findIndex(entry => path.normalize(entry.filePath) === target);
+}
+
+// Photos that were queued for a product the photographer moved on from stay on disk;
+// keep them in reach instead of forgetting them.
+function moveQueueToInbox(station) {
+  station.queue.forEach(entry => {
+    if (!fs.existsSync(entry.filePath) || findInboxIndex(station, entry.filePath) !== -1) return;
+    station.inbox.push({ filePath: entry.filePath, addedAt: entry.addedAt });
+  });
+  station.queue = [];
 }
 
 app.use(express.json());
@@ -162,101 +272,641 @@ app.get('/api/products-without-photos', async (req, res) => {
     const storeName = typeof req.query.store === 'string' ? req.query.store.trim() : '';
     const storeLocationId =
       storeName && localPaths.STORES_MAP ? localPaths.STORES_MAP[storeName] : null;
-    const result = await getRecentProductsWithoutImages(100, {
+    // The index has no size cap, so return every product that still needs photos.
+    const result = await getRecentProductsWithoutImages(null, {
       storeName: storeName || null,
-      storeLocationId: storeLocationId || null
+      storeLocationId: storeLocationId || null,
+      sync: req.query.sync === '1'
     });
     res.json(result);
   } catch (err) {
     console.error('Error in /api/products-without-photos', err);
+    if (err.offline) {
+      return res.status(503).json({ error: 'Shopify is unreachable and no product list has been saved yet' });
+    }
     res.status(500).json({ error: 'Failed to load products' });
   }
 });
 
+// Any product, for reshoots and extra angles. Without ?q= it only reports whether archived
+// products may be searched, so the page knows to offer that.
+app.get('/api/product-search', async (req, res) => {
+  const term = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const includeArchived = RESHOOT_ARCHIVED && req.query.archived === '1';
+  if (!term) return res.json({ products: [], archivedAllowed: RESHOOT_ARCHIVED });
+
+  try {
+    const products = await searchProducts(term, { includeArchived });
+    res.json({ products, archivedAllowed: RESHOOT_ARCHIVED });
+  } catch (err) {
+    console.error('Error in /api/product-search', err);
+    res.status(500).json({ error: 'Failed to search products' });
+  }
+});
+
+app.get('/api/stations', (req, res) => {
+  const list = Array.from(stations.values()).map(station => ({
+    name: station.name,
+    productId: station.product ? station.product.id : null,
+    queuedCount: station.queue.length
+  }));
+  res.json({ stations: list });
+});
+
 app.post('/api/select-product', (req, res) => {
-  const { id, title, sku, created_at } = req.body || {};
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  const { id, store } = req.body || {};
   if (!id) return res.status(400).json({ error: 'Missing product id' });
 
-  currentProduct = {
+  // The store the product list was filtered by; barcode selections reuse the last one.
+  if (store !== undefined) station.store = store || null;
+  selectStationProduct(station, req.body, 'hand');
+  res.json({ ok: true });
+});
+
+function selectStationProduct(station, props, selectedBy) {
+  const {
+    id, title, sku, barcode, variant_id, variants, created_at, product_type, vendor, tags, image_count
+  } = props;
+  station.product = {
     id,
     title: title || '',
     sku: sku || null,
-    created_at: created_at || null
+    barcode: barcode || null,
+    variant_id: variant_id || null,
+    variants: Array.isArray(variants)
+      ? variants
+        .filter(variant => variant && variant.id)
+        .map(variant => ({ id: Number(variant.id), title: String(variant.title || ''), sku: variant.sku || null }))
+      : [],
+    created_at: created_at || null,
+    product_type: product_type || '',
+    vendor: vendor || '',
+    tags: Array.isArray(tags) ? tags.map(String) : [],
+    image_count: Number(image_count) || 0,
+    store: station.store || null
   };
-  queuedFiles = [];
-  console.log('Selected product:', currentProduct);
-  res.json({ ok: true });
-});
+  station.product.preset = resolvePresetName(station.product);
+  station.selectedAt = new Date().toISOString();
+  station.selectedBy = selectedBy;
+  moveQueueToInbox(station);
+  station.gallery = null;
+  station.edits = {};
+  station.restoredAt = null;
+  persistSessions();
+  broadcastStation(station, 'product-selected');
+  console.log(`Selected product for station "${station.name}":`, station.product);
+
+  if (station.product.image_count) loadStationGallery(station);
+}
+
+// Fetches the current images of a product picked for a reshoot. The page shows them as
+// loading until they arrive; a product changed in the meantime drops the result.
+function loadStationGallery(station) {
+  const productId = station.product.id;
+  station.gallery = pendingGallery(productId);
+  broadcastStation(station, 'gallery-changed');
+
+  loadGallery(productId)
+    .then(gallery => {
+      if (!station.product || station.product.id !== productId) return;
+      station.gallery = gallery;
+      reconcileLayout(gallery, station.queue);
+      console.log(`Loaded ${gallery.images.length} current images for product`, productId);
+    })
+    .catch(err => {
+      if (!station.product || station.product.id !== productId) return;
+      console.error('Failed to load current images for product', productId, err.message);
+      if (err.status === 404) forgetProduct(productId);
+      const error = err.offline
+        ? 'Shopify is unreachable; new photos go after the current images'
+        : 'Could not load the current images';
+      station.gallery = { ...pendingGallery(productId), status: 'failed', error };
+    })
+    .finally(() => {
+      if (!station.product || station.product.id !== productId) return;
+      persistSessions();
+      broadcastStation(station, 'gallery-changed');
+    });
+}
+
+// The gallery as it will look after Done, with queued photos in their slots, plus the
+// current images that Done will delete.
+function describeGallery(station) {
+  const { gallery } = station;
+  if (!gallery) return null;
+  if (gallery.status !== 'ready') return { status: gallery.status, error: gallery.error, items: [], removed: [] };
+
+  const layout = reconcileLayout(gallery, station.queue);
+  const queued = describeQueue(station);
+  const items = layout.map(item => {
+    if (item.mediaId) {
+      return { kind: 'image', ...gallery.images.find(image => image.id === item.mediaId) };
+    }
+    const index = station.queue.findIndex(entry => entry.filePath === item.filePath);
+    return { kind: 'photo', ...queued[index] };
+  });
+
+  return {
+    status: gallery.status,
+    error: null,
+    items,
+    removed: removedImages(gallery),
+    changed: planGallery(gallery, station.queue).changed
+  };
+}
+
+function describeCurrent(station) {
+  return {
+    station: station.name,
+    product: station.product,
+    queuedCount: station.queue.length,
+    selectedAt: station.selectedAt,
+    restoredAt: station.restoredAt,
+    inboxCount: station.inbox.length,
+    edits: station.edits,
+    // What Done will do with the product: the publishing.json rule matching it as edited.
+    publishing: station.product ? resolvePublishing(applyEditsToProduct(station.product, station.edits)) : null,
+    gallery: describeGallery(station),
+    quarantined: station.quarantined,
+    scanNotices: station.scanNotices
+  };
+}
 
 app.get('/api/current-product', (req, res) => {
-  res.json({ product: currentProduct, queuedCount: queuedFiles.length });
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  res.json(describeCurrent(station));
+});
+
+app.get('/api/product-edit-config', (req, res) => {
+  res.json(getEditConfig());
 });
 
-app.get('/photo-preview', (req, res) => {
+// Keeps the fields typed in so far with the station, so the publishing preview matches the
+// edited product and a restart does not lose them. Done still checks what it is sent.
+app.post('/api/product-edits', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  if (!station.product) return res.status(400).json({ error: 'No product selected' });
+
+  const { edits, errors } = validateProductEdits((req.body || {}).edits, station.product);
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: 'Some product fields are not valid', fields: errors });
+  }
+
+  station.edits = edits;
+  persistSessions();
+  broadcastStation(station, 'product-edits-changed');
+  res.json({ ok: true, publishing: describeCurrent(station).publishing });
+});
+
+app.get('/api/presets', (req, res) => {
+  res.json(listPresets());
+});
+
+app.post('/api/set-preset', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  if (!station.product) return res.status(400).json({ error: 'No product selected' });
+
+  const { preset } = req.body || {};
+  const presetName = resolvePresetName(station.product, preset);
+  if (preset && presetName !== preset) {
+    return res.status(400).json({ error: `Unknown preset "${preset}"` });
+  }
+
+  // An empty preset clears the manual choice and goes back to the configured mapping.
+  station.product.preset = preset ? presetName : resolvePresetName({ ...station.product, preset: null });
+  persistSessions();
+  broadcastStation(station, 'preset-changed');
+  console.log(`Station "${station.name}" preset set to`, station.product.preset);
+  res.json({ ok: true, preset: station.product.preset });
+});
+
+// Resolves ?station=&file= to a file inside that station's watch folder, or sends the error.
+function resolvePhotoRequest(req, res) {
+  const station = getRequestStation(req);
+  if (!station) {
+    res.status(400).send('Missing or unknown station');
+    return null;
+  }
+
   const rel = req.query.file;
-  if (!rel) return res.status(400).send('Missing file parameter');
+  if (!rel) {
+    res.status(400).send('Missing file parameter');
+    return null;
+  }
 
-  const absPath = path.resolve(WATCH_DIR, rel);
+  const absPath = path.resolve(station.watchDir, rel);
+
+  if (!isInsideDir(station.watchDir, absPath)) {
+    res.status(400).send('Invalid path');
+    return null;
+  }
+  if (!fs.existsSync(absPath)) {
+    res.status(404).send('File not found');
+    return null;
+  }
+  return absPath;
+}
 
-  if (!absPath.startsWith(path.normalize(WATCH_DIR))) {
-    return res.status(400).send('Invalid path');
+async function sendRendition(res, absPath, size) {
+  try {
+    const rendition = await getRendition(absPath, size);
+    // URLs carry the source version, so a cached copy never goes stale.
+    res.set('ETag', rendition.etag);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(rendition.path);
+  } catch (err) {
+    console.error('Error rendering preview', absPath, err);
+    res.status(500).send('Could not decode image');
   }
-  if (!fs.existsSync(absPath)) return res.status(404).send('File not found');
+}
 
-  res.sendFile(absPath);
+// Full-size photo for the lightbox. HEIC is converted, since most browsers cannot show it.
+app.get('/photo-preview', async (req, res) => {
+  const absPath = resolvePhotoRequest(req, res);
+  if (!absPath) return;
+
+  if (!isHeifFile(absPath)) return res.sendFile(absPath);
+  await sendRendition(res, absPath, FULL_PREVIEW_SIZE);
+});
+
+app.get('/photo-thumb', async (req, res) => {
+  const absPath = resolvePhotoRequest(req, res);
+  if (!absPath) return;
+
+  await sendRendition(res, absPath, THUMBNAIL_SIZE);
 });
 
 app.get('/api/queued-photos', (req, res) => {
-  try {
-    const photos = queuedFiles.map(filePath => {
-      const relPath = path.relative(WATCH_DIR, filePath).replace(/\\/g, '/');
-      return {
-        name: path.basename(filePath),
-        relPath,
-        url: `/photo-preview?file=${encodeURIComponent(relPath)}`
-      };
-    });
+  const station = requireStation(req, res);
+  if (!station) return;
 
-    res.json({ photos });
+  try {
+    res.json({ photos: describeQueue(station) });
   } catch (err) {
     console.error('Error in /api/queued-photos', err);
     res.status(500).json({ error: 'Failed to read queued photos' });
   }
 });
 
-app.post('/api/remove-photo', (req, res) => {
+function describePhoto(station, { filePath, addedAt, crop, variantId, naming }) {
+  const relPath = toStationRelPath(station, filePath);
+  const query = `station=${encodeURIComponent(station.name)}&file=${encodeURIComponent(relPath)}`;
+  let version = '';
+  try {
+    version = sourceVersion(fs.statSync(filePath));
+  } catch (err) {
+    // Removed from disk since it was queued; its thumbnail will 404.
+  }
+  return {
+    name: path.basename(filePath),
+    relPath,
+    addedAt,
+    manualCrop: Boolean(crop),
+    variantId: variantId || null,
+    naming: naming || null,
+    url: `/photo-preview?${query}`,
+    thumbUrl: `/photo-thumb?${query}&v=${version}`
+  };
+}
+
+// The first photo tagged with a variant becomes that variant's image on Shopify.
+// `generated` is the file name and alt text the templates give the photo in its slot.
+function describeQueue(station) {
+  const featured = new Set();
+  const layout = station.gallery && station.gallery.status === 'ready'
+    ? reconcileLayout(station.gallery, station.queue)
+    : null;
+  return station.queue.map((entry, index) => {
+    const photo = describePhoto(station, entry);
+    photo.variantFeatured = Boolean(entry.variantId) && !featured.has(entry.variantId);
+    if (entry.variantId) featured.add(entry.variantId);
+
+    const position = layout
+      ? layout.findIndex(item => item.filePath === entry.filePath) + 1
+      : ((station.product && station.product.image_count) || 0) + index + 1;
+    photo.generated = station.product
+      ? imageNames(station.product, { position, variantId: entry.variantId })
+      : null;
+    return photo;
+  });
+}
+
+function describeInbox(station) {
+  return station.inbox.map(entry => describePhoto(station, entry));
+}
+
+// Pushes the station's current product, queue and inbox to its pages. `extra` names the photo involved.
+function broadcastStation(station, type, extra = {}) {
+  broadcast(
+    type,
+    { ...describeCurrent(station), ...extra, photos: describeQueue(station), inbox: describeInbox(station) },
+    station.name
+  );
+}
+
+app.get('/api/inbox', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  res.json({ photos: describeInbox(station) });
+});
+
+// Moves the chosen inbox photos to the end of the current product's queue, in inbox order.
+app.post('/api/assign-photos', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  if (!station.product) return res.status(400).json({ error: 'No product selected' });
+
+  const { relPaths } = req.body || {};
+  if (!Array.isArray(relPaths) || !relPaths.length) {
+    return res.status(400).json({ error: 'Missing relPaths array' });
+  }
+
+  const wanted = new Set(
+    relPaths
+      .map(rel => path.resolve(station.watchDir, String(rel)))
+      .filter(abs => isInsideDir(station.watchDir, abs))
+      .map(abs => path.normalize(abs))
+  );
+
+  const assigned = station.inbox.filter(entry => wanted.has(path.normalize(entry.filePath)));
+  if (!assigned.length) return res.status(400).json({ error: 'None of those photos are in the inbox' });
+
+  station.inbox = station.inbox.filter(entry => !assigned.includes(entry));
+  assigned.forEach(entry => {
+    if (findQueuedIndex(station, entry.filePath) !== -1) return;
+    station.queue.push({ filePath: entry.filePath, addedAt: new Date().toISOString(), crop: null });
+  });
+  persistSessions();
+  broadcastStation(station, 'photos-assigned');
+
+  console.log(`Assigned ${assigned.length} inbox photos to product`, station.product.id, `on station "${station.name}"`);
+  res.json({ ok: true, assigned: assigned.length, queuedCount: station.queue.length });
+});
+
+function findQueuedEntry(station, relPath) {
+  if (!relPath) return null;
+  const absPath = path.resolve(station.watchDir, relPath);
+  if (!isInsideDir(station.watchDir, absPath)) return null;
+  const index = findQueuedIndex(station, absPath);
+  return index === -1 ? null : station.queue[index];
+}
+
+// Crop box the current preset would use for a queued photo, as fractions of the image.
+app.get('/api/crop-box', async (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  const entry = findQueuedEntry(station, req.query.file);
+  if (!entry) return res.status(404).json({ error: 'Photo is not queued' });
+
+  try {
+    const preview = await getCropPreview(entry.filePath, resolvePresetName(station.product), entry.crop);
+    res.json(preview);
+  } catch (err) {
+    console.error('Error in /api/crop-box', err);
+    res.status(500).json({ error: 'Failed to compute crop box' });
+  }
+});
+
+// Stores the photographer's adjusted box for one photo. A null box goes back to automatic.
+app.post('/api/crop-box', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  const { relPath, box } = req.body || {};
+  const entry = findQueuedEntry(station, relPath);
+  if (!entry) return res.status(404).json({ error: 'Photo is not queued' });
+  if (box && !isValidRelativeBox(box)) return res.status(400).json({ error: 'Invalid crop box' });
+
+  entry.crop = box
+    ? { left: Number(box.left), top: Number(box.top), width: Number(box.width), height: Number(box.height) }
+    : null;
+  persistSessions();
+  res.json({ ok: true, crop: entry.crop });
+});
+
+// Tags a queued photo with one of the product's variants, or clears it with a null variantId.
+app.post('/api/photo-variant', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  if (!station.product) return res.status(400).json({ error: 'No product selected' });
+
+  const { relPath, variantId } = req.body || {};
+  const entry = findQueuedEntry(station, relPath);
+  if (!entry) return res.status(404).json({ error: 'Photo is not queued' });
+
+  const variants = station.product.variants || [];
+  if (variantId && !variants.some(variant => String(variant.id) === String(variantId))) {
+    return res.status(400).json({ error: 'Not a variant of the current product' });
+  }
+
+  entry.variantId = variantId ? Number(variantId) : null;
+  persistSessions();
+  broadcastStation(station, 'photo-variant-changed', { relPath });
+  res.json({ ok: true, variantId: entry.variantId });
+});
+
+// Sets the order the reshoot gallery will have after Done. `layout` lists current images
+// as { mediaId } and queued photos as { relPath }; current images left out are deleted.
+app.post('/api/gallery-layout', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  if (!station.gallery || station.gallery.status !== 'ready') {
+    return res.status(400).json({ error: 'No current images loaded for this product' });
+  }
+
+  const { layout } = req.body || {};
+  const items = Array.isArray(layout)
+    ? layout.map(item => {
+      if (!item || !item.relPath) return item;
+      const entry = findQueuedEntry(station, item.relPath);
+      return { filePath: entry ? entry.filePath : item.relPath };
+    })
+    : layout;
+  const error = setLayout(station.gallery, station.queue, items);
+  if (error) return res.status(400).json({ error });
+
+  persistSessions();
+  broadcastStation(station, 'gallery-changed');
+  res.json({ ok: true });
+});
+
+app.post('/api/reload-gallery', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  if (!station.product) return res.status(400).json({ error: 'No product selected' });
+
+  loadStationGallery(station);
+  res.json({ ok: true });
+});
+
+// Gives a queued photo its own file name and alt text. Empty fields go back to the templates.
+app.post('/api/photo-naming', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  const { relPath, filename, alt } = req.body || {};
+  const entry = findQueuedEntry(station, relPath);
+  if (!entry) return res.status(404).json({ error: 'Photo is not queued' });
+
+  const { naming, error } = normalizeNaming({ filename, alt });
+  if (error) return res.status(400).json({ error });
+
+  entry.naming = naming;
+  persistSessions();
+  broadcastStation(station, 'photo-naming-changed', { relPath });
+  res.json({ ok: true, naming });
+});
+
+// The file goes to the trash rather than away, so the page can offer an undo.
+app.post('/api/remove-photo', async (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
   const { relPath } = req.body || {};
   if (!relPath) return res.status(400).json({ error: 'Missing relPath' });
 
-  const absPath = path.resolve(WATCH_DIR, relPath);
+  const absPath = path.resolve(station.watchDir, relPath);
+  if (!isInsideDir(station.watchDir, absPath)) {
+    return res.status(400).json({ error: 'Invalid path' });
+  }
+
+  const index = findQueuedIndex(station, absPath);
+  if (index === -1) return res.status(404).json({ error: 'Photo is not queued' });
 
-  const before = queuedFiles.length;
-  queuedFiles = queuedFiles.filter(p => path.normalize(p) !== path.normalize(absPath));
+  // The photo leaves the queue only once it is safely in the trash, so a failed move
+  // leaves it queued rather than tracked nowhere.
+  const entry = station.queue[index];
+  if (entry.removing) return res.status(409).json({ error: 'Photo is already being removed' });
 
-  try {
-    if (fs.existsSync(absPath)) {
-      fs.unlinkSync(absPath);
-      console.log('Removed queued photo file', absPath);
+  let trashItem = null;
+  if (fs.existsSync(absPath)) {
+    entry.removing = true;
+    try {
+      const store = station.product ? station.product.store : station.store;
+      trashItem = await moveToTrash(station.name, entry, index, station.product, store);
+    } catch (err) {
+      console.error('Error moving photo to trash', absPath, err);
+      return res.status(500).json({ error: 'Could not move the photo to the trash' });
+    } finally {
+      delete entry.removing;
     }
+  }
+
+  // The queue may have changed while the file was moving.
+  const current = station.queue.indexOf(entry);
+  if (current !== -1) station.queue.splice(current, 1);
+  persistSessions();
+  broadcastStation(station, 'photo-removed', { relPath });
+
+  console.log(`Removed photo from station "${station.name}" queue, now queued:`, station.queue.length);
+  res.json({ ok: true, queuedCount: station.queue.length, trashId: trashItem ? trashItem.id : null });
+});
+
+function describeTrashItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    product: item.product ? { id: item.product.id, title: item.product.title } : null,
+    removedAt: item.removedAt,
+    expiresAt: item.expiresAt,
+    url: `/trash-preview?id=${encodeURIComponent(item.id)}`
+  };
+}
+
+app.get('/api/trash', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  res.json({
+    retentionHours: TRASH_RETENTION_HOURS,
+    items: listTrash(station.name).map(describeTrashItem).reverse()
+  });
+});
+
+app.get('/trash-preview', async (req, res) => {
+  const item = findTrashItem(String(req.query.id || ''));
+  if (!item || !fs.existsSync(item.trashPath)) return res.status(404).send('Not found');
+  await sendRendition(res, item.trashPath, THUMBNAIL_SIZE);
+});
+
+// Puts a trashed photo back at its old place in the queue while the same product is
+// selected; otherwise it goes to the inbox to be assigned again.
+app.post('/api/restore-photo', async (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  const { id } = req.body || {};
+  const item = id ? findTrashItem(String(id)) : null;
+  if (!item || item.station !== station.name) return res.status(404).json({ error: 'Photo is not in the trash' });
+
+  const sameProduct = Boolean(station.product && item.product)
+    && String(station.product.id) === String(item.product.id);
+
+  let filePath;
+  try {
+    filePath = await restoreFromTrash(item);
   } catch (err) {
-    console.error('Error deleting file', absPath, err);
+    console.error('Error restoring photo from trash', item.trashPath, err);
+    return res.status(500).json({ error: 'Failed to restore photo' });
   }
 
-  console.log('Removed photo from queue, count before/after:', before, queuedFiles.length);
-  res.json({ ok: true, queuedCount: queuedFiles.length });
+  // Claim the file before the watcher reports it, so it is not queued a second time.
+  const relPath = toStationRelPath(station, filePath);
+  if (findQueuedIndex(station, filePath) === -1 && findInboxIndex(station, filePath) === -1) {
+    if (sameProduct) {
+      const position = Math.min(item.position, station.queue.length);
+      station.queue.splice(position, 0, {
+        filePath,
+        addedAt: item.addedAt,
+        crop: item.crop,
+        variantId: item.variantId || null,
+        naming: item.naming || null
+      });
+      persistSessions();
+    } else {
+      station.inbox.push({ filePath, addedAt: item.addedAt || new Date().toISOString() });
+    }
+  }
+  broadcastStation(station, 'photo-restored', { relPath });
+
+  console.log(`Restored photo to station "${station.name}" ${sameProduct ? 'queue' : 'inbox'}:`, filePath);
+  res.json({ ok: true, relPath, restoredTo: sameProduct ? 'queue' : 'inbox', queuedCount: station.queue.length });
+});
+
+app.post('/api/empty-trash', async (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  try {
+    const emptied = await emptyTrash({ station: station.name, all: true });
+    res.json({ ok: true, emptied });
+  } catch (err) {
+    console.error('Error in /api/empty-trash', err);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
 });
 
 app.post('/api/reorder-photos', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
   const { order } = req.body || {};
   if (!Array.isArray(order)) return res.status(400).json({ error: 'Missing order array' });
 
   const normalize = p => path.normalize(p);
-  const relToAbs = rel => path.resolve(WATCH_DIR, rel);
+  const relToAbs = rel => path.resolve(station.watchDir, rel);
 
   const newQueued = [];
   order.forEach(rel => {
     const abs = relToAbs(rel);
-    const found = queuedFiles.find(p => normalize(p) === normalize(abs));
+    const found = station.queue.find(entry => normalize(entry.filePath) === normalize(abs));
     if (found) newQueued.push(found);
   });
 
@@ -265,41 +915,163 @@ app.post('/api/reorder-photos', (req, res) => {
     return res.status(400).json({ error: 'Reorder did not match current queue' });
   }
 
-  if (newQueued.length !== queuedFiles.length) {
+  if (newQueued.length !== station.queue.length) {
     console.warn('Reorder did not include all queued files, appending leftovers at end');
-    const leftovers = queuedFiles.filter(p => !newQueued.includes(p));
-    queuedFiles = newQueued.concat(leftovers);
+    const leftovers = station.queue.filter(entry => !newQueued.includes(entry));
+    station.queue = newQueued.concat(leftovers);
   } else {
-    queuedFiles = newQueued;
+    station.queue = newQueued;
   }
+  persistSessions();
+  broadcastStation(station, 'photos-reordered');
 
-  console.log('Reordered queued files, new order length:', queuedFiles.length);
+  console.log(`Reordered station "${station.name}" queued files, new order length:`, station.queue.length);
   res.json({ ok: true });
 });
 
-app.post('/api/done', async (req, res) => {
-  if (!currentProduct) return res.status(400).json({ error: 'No product selected' });
-  if (queuedFiles.length === 0) return res.status(400).json({ error: 'No files queued' });
+// Hands the queue to the background upload worker so the station is free for
+// the next product right away. Progress is reported through /api/jobs.
+app.post('/api/done', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
 
-  const productId = currentProduct.id;
-  const filesToDelete = [...queuedFiles];
+  if (!station.product) return res.status(400).json({ error: 'No product selected' });
+  if (station.gallery && station.gallery.status === 'loading') {
+    return res.status(409).json({ error: 'Still loading the current images of this product' });
+  }
 
-  try {
-    console.log(`Normalizing + cropping ${queuedFiles.length} images for product ${productId}`);
-    const croppedImages = await Promise.all(queuedFiles.map(cropImageToSquare));
+  // Photos on their way to the trash stay out of the upload. They remain queued until the
+  // move settles, so one that fails to move is still tracked.
+  const entries = station.queue.filter(entry => !entry.removing);
+  const removing = station.queue.filter(entry => entry.removing);
 
-    console.log(`Uploading ${croppedImages.length} images for product ${productId}`);
-    await uploadImagesToProduct(productId, croppedImages);
+  // A reshoot may only delete or reorder images, with nothing new queued.
+  const gallery = station.gallery && station.gallery.status === 'ready'
+    ? planGallery(station.gallery, entries)
+    : null;
+  if (entries.length === 0 && !(gallery && gallery.changed)) {
+    return res.status(400).json({ error: 'No files queued' });
+  }
 
-    deleteUploadedFiles(filesToDelete);
+  // Field edits go with the upload; one bad field holds the whole thing back so nothing
+  // is published with a known mistake.
+  const { edits, errors } = validateProductEdits((req.body || {}).edits, station.product);
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: 'Some product fields are not valid', fields: errors });
+  }
 
-    currentProduct = null;
-    queuedFiles = [];
+  try {
+    const product = applyEditsToProduct(station.product, edits);
+    const job = createJob({
+      station: station.name,
+      product,
+      preset: resolvePresetName(product),
+      publishing: resolvePublishing(product),
+      edits,
+      gallery,
+      entries
+    });
+
+    station.product = null;
+    station.selectedAt = null;
+    station.selectedBy = null;
+    station.queue = removing;
+    station.gallery = null;
+    station.edits = {};
+    station.restoredAt = null;
+    persistSessions();
+    broadcastStation(station, 'product-selected');
 
-    res.json({ ok: true });
+    // Every step starts out pending; its result arrives with the job's events.
+    res.json({ ok: true, jobId: job.id, job: summarizeJob(job) });
   } catch (err) {
     console.error('Error in /api/done:', err);
-    res.status(500).json({ error: 'Upload or publish failed' });
+    res.status(500).json({ error: 'Failed to queue upload' });
+  }
+});
+
+// Live updates for one station's pages, plus upload progress from every station.
+app.get('/api/events', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+  openEventStream(req, res, station.name);
+});
+
+app.post('/api/dismiss-quarantine', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  station.quarantined = [];
+  broadcastStation(station, 'quarantine-dismissed');
+  res.json({ ok: true });
+});
+
+// Clears one barcode notice by id, or all of them without one.
+app.post('/api/dismiss-scan-notice', (req, res) => {
+  const station = requireStation(req, res);
+  if (!station) return;
+
+  const { id } = req.body || {};
+  station.scanNotices = id ? station.scanNotices.filter(notice => notice.id !== id) : [];
+  broadcastStation(station, 'scan-notice-dismissed');
+  res.json({ ok: true });
+});
+
+app.get('/api/connectivity', (req, res) => {
+  res.json({ connectivity: getConnectivity() });
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: listJobs() });
+});
+
+app.post('/api/jobs/:id/retry', (req, res) => {
+  let job;
+  try {
+    job = retryJob(req.params.id);
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ error: err.message });
+    throw err;
+  }
+  if (!job) return res.status(404).json({ error: 'Job not found or already completed' });
+  res.json({ ok: true });
+});
+
+// Activation and sales channels only, for jobs whose images all made it.
+app.post('/api/jobs/:id/retry-publish', (req, res) => {
+  let job;
+  try {
+    job = retryPublish(req.params.id);
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ error: err.message });
+    throw err;
+  }
+  if (!job) return res.status(404).json({ error: 'Job not found or has nothing to publish again' });
+  res.json({ ok: true, job: summarizeJob(job) });
+});
+
+const HISTORY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Finished uploads, newest first. ?from=&to= (YYYY-MM-DD), ?store=, ?product= (id, title
+// or SKU) narrow it down; ?format=csv downloads the same rows for reporting.
+app.get('/api/history', (req, res) => {
+  const { from, to, store, product, format } = req.query;
+  if ((from && !HISTORY_DATE_PATTERN.test(from)) || (to && !HISTORY_DATE_PATTERN.test(to))) {
+    return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+  }
+
+  try {
+    const entries = queryHistory({ from, to, store, product });
+    if (format === 'csv') {
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="upload-history-${stamp}.csv"`);
+      return res.send(historyToCsv(entries));
+    }
+    res.json({ entries });
+  } catch (err) {
+    console.error('Error in /api/history', err);
+    res.status(500).json({ error: 'Failed to read upload history' });
   }
 });
 
@@ -307,33 +1079,194 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-console.log('Watching folder:', WATCH_DIR);
+const allowedExts = ['.jpg', '.jpeg', '.png', '.heic', '.heif'];
 
-const allowedExts = ['.jpg', '.jpeg', '.png', '.heic'];
+function toStationRelPath(station, filePath) {
+  return path.relative(station.watchDir, filePath).replace(/\\/g, '/');
+}
 
-chokidar
-  .watch(WATCH_DIR, { ignored: /(^|[\/\\])\../, persistent: true })
-  .on('add', filePath => {
-    console.log('File added in Watch:', filePath);
+// Only takes a file once it decodes end to end. Files that never do are moved to
+// Quarantine/<station>/ and reported to the page, so a half-written shot is never uploaded.
+// New shots join the current product's queue; with no product selected, and for files
+// found by the startup scan, they wait in the inbox instead.
+async function handleStationFileAdded(station, filePath, options = {}) {
+  if (!options.initial) console.log(`File added in station "${station.name}" watch folder:`, filePath);
 
-    const ext = path.extname(filePath).toLowerCase();
-    if (!allowedExts.includes(ext)) {
-      console.log('Ignoring non image file in Watch:', filePath);
-      return;
-    }
+  const ext = path.extname(filePath).toLowerCase();
+  if (!allowedExts.includes(ext)) {
+    if (!options.initial) console.log('Ignoring non image file in Watch:', filePath);
+    return;
+  }
 
-    if (currentProduct) {
-      queuedFiles.push(filePath);
-      console.log('Queued for product', currentProduct.id, 'total queued', queuedFiles.length);
-    } else {
-      console.log('No current product selected, ignoring new file for now');
+  if (isFileInJob(filePath)) {
+    console.log('File belongs to an upload job, skipping', filePath);
+    return;
+  }
+
+  const known = findQueuedIndex(station, filePath) !== -1
+    || findInboxIndex(station, filePath) !== -1
+    || station.checking.has(filePath);
+  if (known) {
+    if (!options.initial) console.log('File already queued, skipping', filePath);
+    return;
+  }
+
+  // Files are checked side by side but placed one after another in the order they arrived,
+  // so the first shot stays first in the queue however long each takes to finish writing.
+  station.checking.add(filePath);
+  const checked = waitForCompleteImage(filePath);
+  const placed = station.arrivals.then(() => checked).then(result => placeStationFile(station, filePath, result, options));
+  station.arrivals = placed.catch(() => {});
+  try {
+    await placed;
+  } finally {
+    station.checking.delete(filePath);
+  }
+}
+
+async function placeStationFile(station, filePath, result, options) {
+  if (result.missing) {
+    // Renamed or deleted while we waited; a rename arrives as its own 'add'.
+    console.log('File went away before it could be queued', filePath);
+    return;
+  }
+
+  if (!result.ok) {
+    await quarantineStationFile(station, filePath, result.reason);
+    return;
+  }
+
+  if (findQueuedIndex(station, filePath) !== -1 || findInboxIndex(station, filePath) !== -1) return;
+  const relPath = toStationRelPath(station, filePath);
+
+  const routed = options.initial ? null : await routeByBarcode(station, filePath, relPath);
+  if (routed === 'inbox') {
+    station.inbox.push({ filePath, addedAt: new Date().toISOString() });
+    broadcastStation(station, 'inbox-added', { relPath });
+    return;
+  }
+
+  // The product may also have been cleared while the file was being checked.
+  if (options.initial || !station.product) {
+    station.inbox.push({ filePath, addedAt: new Date().toISOString() });
+    broadcastStation(station, 'inbox-added', { relPath });
+    if (!options.initial) console.log(`No product selected on station "${station.name}", photo added to inbox`);
+    return;
+  }
+
+  station.queue.push({ filePath, addedAt: new Date().toISOString(), crop: null });
+  persistSessions();
+  broadcastStation(station, 'photo-added', { relPath });
+  console.log('Queued for product', station.product.id, 'total queued', station.queue.length);
+}
+
+function addScanNotice(station, notice) {
+  station.scanNotices = [
+    { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, at: new Date().toISOString(), ...notice },
+    ...station.scanNotices
+  ].slice(0, MAX_SCAN_NOTICES);
+}
+
+// Looks for a hang-tag barcode in a new shot. A code that points at exactly one product
+// selects it when the station is free: nothing selected, or a product an earlier tag
+// picked that has no photos yet. A product picked by hand is never replaced. Either way
+// the photographer is told what was seen.
+// Returns 'inbox' for every shot a code was read from: it is the tag, not a product photo.
+async function routeByBarcode(station, filePath, relPath) {
+  if (!BARCODE_SCAN) return null;
+
+  let scan;
+  try {
+    scan = await scanForProduct(filePath);
+  } catch (err) {
+    console.error('Barcode scan failed', filePath, err.message);
+    return null;
+  }
+  if (scan.status === 'none') return null;
+
+  const name = path.basename(filePath);
+  const notice = { name, relPath, code: scan.code, format: scan.format, status: scan.status };
+  console.log(`Barcode ${scan.format} "${scan.code}" in ${name}: ${scan.status}`);
+
+  if (scan.status === 'matched') {
+    const current = station.product;
+    if (current && String(current.id) === String(scan.product.id)) return 'inbox';
+
+    if (!current || (station.selectedBy === 'barcode' && station.queue.length === 0)) {
+      selectStationProduct(station, scan.product, 'barcode');
+      addScanNotice(station, { ...notice, status: 'selected', product: scan.product });
+      return 'inbox';
     }
-  });
+
+    // Switching now would replace the photographer's pick or pull the queued photos away
+    // from the product being shot.
+    const reason = station.selectedBy === 'hand' ? 'chosen' : 'queued';
+    addScanNotice(station, { ...notice, status: 'busy', reason, product: scan.product });
+    return 'inbox';
+  }
+
+  addScanNotice(station, { ...notice, candidates: scan.candidates || [] });
+  return 'inbox';
+}
+
+async function quarantineStationFile(station, filePath, reason) {
+  const name = path.basename(filePath);
+  try {
+    const target = await quarantineFile(filePath, station.name);
+    console.warn(`Quarantined incomplete photo on station "${station.name}":`, filePath, '->', target, reason);
+  } catch (err) {
+    console.error('Failed to quarantine file', filePath, err);
+  }
+
+  station.quarantined.push({ name, reason, quarantinedAt: new Date().toISOString() });
+  broadcastStation(station, 'photo-quarantined', { relPath: toStationRelPath(station, filePath) });
+}
+
+// A file that disappears was renamed, re-shot or deleted by hand; drop it from the queue or inbox.
+function handleStationFileRemoved(station, filePath) {
+  const inboxIndex = findInboxIndex(station, filePath);
+  if (inboxIndex !== -1) {
+    station.inbox.splice(inboxIndex, 1);
+    broadcastStation(station, 'inbox-removed', { relPath: toStationRelPath(station, filePath) });
+    return;
+  }
+
+  const index = findQueuedIndex(station, filePath);
+  if (index === -1) return;
+
+  station.queue.splice(index, 1);
+  persistSessions();
+  broadcastStation(station, 'photo-removed', { relPath: toStationRelPath(station, filePath) });
+  console.log(`Queued file disappeared from station "${station.name}" watch folder:`, filePath);
+}
+
+// chokidar's initial scan reports the files already in each folder; those go to the
+// inbox unless a restored session already has them queued.
+stations.forEach(station => {
+  console.log(`Watching folder for station "${station.name}":`, station.watchDir);
+  let scanned = false;
+  chokidar
+    .watch(station.watchDir, {
+      ignored: filePath => isTempFile(path.relative(station.watchDir, filePath)),
+      persistent: true,
+      awaitWriteFinish: { stabilityThreshold: WRITE_STABILITY_MS, pollInterval: WRITE_POLL_MS }
+    })
+    .on('add', filePath => {
+      handleStationFileAdded(station, filePath, { initial: !scanned }).catch(err => {
+        console.error('Error handling new file', filePath, err);
+      });
+    })
+    .on('unlink', filePath => handleStationFileRemoved(station, filePath))
+    .on('ready', () => {
+      scanned = true;
+    });
+});
 
 app.post('/api/shutdown', (req, res) => {
   console.log('Shutdown requested from UI');
   res.json({ ok: true });
 
+  closeEventStreams();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
@@ -345,6 +1278,12 @@ app.post('/api/shutdown', (req, res) => {
   }, 3000);
 });
 
+startUploadWorker();
+syncProductIndex().catch(() => {});
+pruneThumbnails();
+startArchivePruning();
+startTrashEmptying();
+
 const server = app.listen(PORT, () => {
   console.log(`Street photo tool running at http://localhost:${PORT}`);
 });
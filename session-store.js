@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Lives next to paths.txt so each machine keeps its own sessions, one per station.
+const SESSION_FILE = path.join(__dirname, 'session.json');
+
+function emptySession() {
+  return {
+    // { id, title, sku, barcode, variant_id, variants: [{ id, title, sku }], created_at,
+    //   product_type, vendor, tags, preset, store }
+    product: null,
+    selectedAt: null,
+    selectedBy: null,  // 'hand' or 'barcode'
+    queue: [],         // [{ filePath, addedAt, crop, variantId, naming }] in upload order
+    gallery: null,     // current Shopify images and final order for reshoots, see gallery.js
+    edits: {},         // product field changes not yet sent, see product-edits.js
+    updatedAt: null
+  };
+}
+
+function restoreSession(saved) {
+  if (!saved || typeof saved !== 'object') return emptySession();
+
+  const session = emptySession();
+  session.product = saved.product && saved.product.id ? saved.product : null;
+  session.selectedAt = saved.selectedAt || null;
+  session.selectedBy = session.product ? saved.selectedBy || 'hand' : null;
+  session.updatedAt = saved.updatedAt || null;
+
+  const queue = Array.isArray(saved.queue) ? saved.queue : [];
+  const seen = new Set();
+  queue.forEach(entry => {
+    const filePath = entry && entry.filePath;
+    if (!filePath || seen.has(filePath)) return;
+    if (!fs.existsSync(filePath)) {
+      console.warn('Queued file no longer exists, dropping from restored session', filePath);
+      return;
+    }
+    seen.add(filePath);
+    session.queue.push({
+      filePath,
+      addedAt: entry.addedAt || null,
+      crop: entry.crop || null,
+      variantId: entry.variantId || null,
+      naming: entry.naming || null
+    });
+  });
+
+  // Only a loaded gallery is worth keeping; one still loading is fetched again.
+  const gallery = saved.gallery;
+  if (gallery && session.product && gallery.productId === session.product.id && gallery.status === 'ready') {
+    session.gallery = gallery;
+  }
+
+  if (session.product && saved.edits && typeof saved.edits === 'object' && !Array.isArray(saved.edits)) {
+    session.edits = saved.edits;
+  }
+
+  if (!session.product && session.queue.length) {
+    console.warn('Restored queue has no product, clearing it');
+    session.queue = [];
+  }
+
+  return session;
+}
+
+function serializeSession(session, updatedAt) {
+  return {
+    product: session.product || null,
+    selectedAt: session.selectedAt || null,
+    selectedBy: session.selectedBy || null,
+    queue: (session.queue || []).map(entry => ({
+      filePath: entry.filePath,
+      addedAt: entry.addedAt || null,
+      crop: entry.crop || null,
+      variantId: entry.variantId || null,
+      naming: entry.naming || null
+    })),
+    gallery: session.gallery || null,
+    edits: session.edits || {},
+    updatedAt
+  };
+}
+
+// Returns { [stationName]: session } with missing files already dropped.
+function loadSessions() {
+  const saved = readJsonFile(SESSION_FILE);
+  const stations = saved && saved.stations && typeof saved.stations === 'object'
+    ? saved.stations
+    : {};
+
+  const sessions = {};
+  Object.keys(stations).forEach(name => {
+    sessions[name] = restoreSession(stations[name]);
+  });
+  return sessions;
+}
+
+function saveSessions(sessionsByStation) {
+  const updatedAt = new Date().toISOString();
+  const stations = {};
+  Object.keys(sessionsByStation).forEach(name => {
+    stations[name] = serializeSession(sessionsByStation[name], updatedAt);
+  });
+
+  try {
+    writeJsonFile(SESSION_FILE, { stations, updatedAt });
+  } catch (err) {
+    console.error('Failed to save sessions', SESSION_FILE, err);
+  }
+}
+
+module.exports = {
+  emptySession,
+  loadSessions,
+  saveSessions
+};
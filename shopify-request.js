@@ -0,0 +1,239 @@
+// shopify-request.js
+// Shared request layer for the Shopify Admin API. Tracks the REST leaky bucket
+// (X-Shopify-Shop-Api-Call-Limit) and the GraphQL cost budget
+// (extensions.cost.throttleStatus), waits before either runs dry, and retries
+// 429s, transient 5xx responses and network errors with jittered backoff. Writes are
+// only retried when Shopify certainly did not apply them, so nothing is created twice.
+const fetch = require('node-fetch');
+const { isOnline, reportReachable, reportUnreachable } = require('./connectivity');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// A call still running after this has stalled; it is dropped like a lost connection.
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+// Network errors raised before the request left this machine.
+const NOT_SENT_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Keep a few calls in hand so parallel work never tips the bucket over.
+const REST_HEADROOM = 4;
+const GRAPHQL_DEFAULT_COST = 50;
+
+const restBucket = {
+  used: 0,
+  limit: 40,
+  leakPerSecond: 2,
+  updatedAt: 0
+};
+
+const graphqlBucket = {
+  available: null,
+  maximum: 1000,
+  restoreRate: 50,
+  lastCost: GRAPHQL_DEFAULT_COST,
+  updatedAt: 0
+};
+
+function logEvent(event, fields) {
+  console.log(JSON.stringify({ at: new Date().toISOString(), event, ...fields }));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function describeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname;
+  } catch {
+    return url;
+  }
+}
+
+function backoffDelay(attempt) {
+  const base = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  // Full jitter: spread retries so several callers do not hit the API in lockstep.
+  return Math.floor(base / 2 + Math.random() * (base / 2));
+}
+
+function retryAfterDelay(res) {
+  const header = res.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.ceil(seconds * 1000);
+  const date = new Date(header).getTime();
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function estimatedRestUsed(now) {
+  const leaked = ((now - restBucket.updatedAt) / 1000) * restBucket.leakPerSecond;
+  return Math.max(restBucket.used - leaked, 0);
+}
+
+function estimatedGraphqlAvailable(now) {
+  if (graphqlBucket.available === null) return null;
+  const restored = ((now - graphqlBucket.updatedAt) / 1000) * graphqlBucket.restoreRate;
+  return Math.min(graphqlBucket.available + restored, graphqlBucket.maximum);
+}
+
+function budgetWaitMs(kind) {
+  const now = Date.now();
+
+  if (kind === 'graphql') {
+    const available = estimatedGraphqlAvailable(now);
+    if (available === null) return 0;
+    const needed = Math.min(graphqlBucket.lastCost, graphqlBucket.maximum);
+    if (available >= needed) return 0;
+    return Math.ceil(((needed - available) / graphqlBucket.restoreRate) * 1000);
+  }
+
+  const used = estimatedRestUsed(now);
+  const ceiling = restBucket.limit - REST_HEADROOM;
+  if (used < ceiling) return 0;
+  return Math.ceil(((used - ceiling + 1) / restBucket.leakPerSecond) * 1000);
+}
+
+function recordRestLimit(res) {
+  const header = res.headers.get('x-shopify-shop-api-call-limit');
+  if (!header) return;
+  const [used, limit] = header.split('/').map(Number);
+  if (Number.isNaN(used) || Number.isNaN(limit) || !limit) return;
+
+  restBucket.used = used;
+  restBucket.limit = limit;
+  // Standard shops leak 2/s from a bucket of 40, Plus shops 4/s from 80.
+  restBucket.leakPerSecond = limit / 20;
+  restBucket.updatedAt = Date.now();
+}
+
+function recordGraphqlCost(json) {
+  const cost = json && json.extensions && json.extensions.cost;
+  if (!cost) return;
+
+  const status = cost.throttleStatus;
+  if (status) {
+    graphqlBucket.available = Number(status.currentlyAvailable);
+    graphqlBucket.maximum = Number(status.maximumAvailable) || graphqlBucket.maximum;
+    graphqlBucket.restoreRate = Number(status.restoreRate) || graphqlBucket.restoreRate;
+    graphqlBucket.updatedAt = Date.now();
+  }
+  if (cost.requestedQueryCost) {
+    graphqlBucket.lastCost = Number(cost.requestedQueryCost);
+  }
+}
+
+function isGraphqlThrottled(json) {
+  const errors = json && Array.isArray(json.errors) ? json.errors : [];
+  return errors.some(error => error && error.extensions && error.extensions.code === 'THROTTLED');
+}
+
+function wasNotSent(err) {
+  return Boolean(err) && NOT_SENT_CODES.includes(err.code);
+}
+
+function parseJson(text) {
+  try {
+    return { ok: true, json: text ? JSON.parse(text) : {} };
+  } catch {
+    return { ok: false, json: null };
+  }
+}
+
+// Returns { res, text, json, parsed } for the final attempt. Non-OK responses that
+// are not worth retrying (or that ran out of attempts) are returned, not thrown, so
+// callers keep their own error messages.
+// options.idempotent says the request may be repeated after a 5xx or a dropped
+// connection, when it may already have gone through; it defaults to GET only. Throttled
+// requests were refused outright and are always retried.
+// options.timeoutMs bounds each attempt, response body included.
+async function shopifyRequest(url, options = {}) {
+  const kind = options.kind === 'graphql' ? 'graphql' : 'rest';
+  const method = options.method || 'GET';
+  const target = describeUrl(url);
+  const idempotent = options.idempotent === undefined ? method === 'GET' : Boolean(options.idempotent);
+  const timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const waitMs = budgetWaitMs(kind);
+    if (waitMs > 0) {
+      logEvent('shopify.throttle_wait', { kind, method, path: target, waitMs });
+      await sleep(waitMs);
+    }
+
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    let text;
+    try {
+      res = await fetch(url, {
+        method,
+        headers: options.headers,
+        body: options.body,
+        signal: controller.signal
+      });
+      text = await res.text();
+    } catch (caught) {
+      const err = caught.name === 'AbortError'
+        ? Object.assign(new Error(`Shopify request timed out after ${Math.round(timeoutMs / 1000)}s`), { code: 'REQUEST_TIMEOUT' })
+        : caught;
+      // Once offline is known there is no point waiting through the retries again.
+      const retryable = idempotent || wasNotSent(err);
+      if (attempt >= MAX_ATTEMPTS || !isOnline() || !retryable) {
+        logEvent('shopify.network_error', { kind, method, path: target, attempt, error: err.message, giveUp: true });
+        // Only a request that never left proves Shopify is out of reach. After a dropped
+        // connection a write may have gone through, so it counts as an ordinary failure.
+        if (wasNotSent(err)) {
+          reportUnreachable(err);
+          err.offline = true;
+        }
+        throw err;
+      }
+      const delay = backoffDelay(attempt);
+      logEvent('shopify.retry', { kind, method, path: target, attempt, reason: err.code || err.message, delayMs: delay });
+      await sleep(delay);
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    reportReachable();
+    if (kind === 'rest') recordRestLimit(res);
+
+    const { ok: parsed, json } = parseJson(text);
+    if (kind === 'graphql' && parsed) recordGraphqlCost(json);
+
+    const throttled = res.status === 429 || (kind === 'graphql' && parsed && isGraphqlThrottled(json));
+    const retryable = throttled || (idempotent && RETRYABLE_STATUSES.includes(res.status));
+
+    if (!retryable || attempt >= MAX_ATTEMPTS) {
+      if (retryable) {
+        logEvent('shopify.retry_exhausted', { kind, method, path: target, status: res.status, attempt });
+      } else if (attempt > 1) {
+        logEvent('shopify.recovered', { kind, method, path: target, status: res.status, attempt, durationMs: Date.now() - startedAt });
+      }
+      return { res, text, json, parsed };
+    }
+
+    const delay = throttled
+      ? Math.max(retryAfterDelay(res) || 0, budgetWaitMs(kind), backoffDelay(attempt))
+      : backoffDelay(attempt);
+    logEvent('shopify.retry', {
+      kind,
+      method,
+      path: target,
+      attempt,
+      status: res.status,
+      reason: throttled ? 'throttled' : 'server_error',
+      delayMs: delay
+    });
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  shopifyRequest,
+  wasNotSent
+};
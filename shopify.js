@@ -1,6 +1,9 @@
 // shopify.js
 require('dotenv').config();
 const fetch = require('node-fetch');
+const FormData = require('form-data');
+const { shopifyRequest, wasNotSent } = require('./shopify-request');
+const { reportUnreachable, setProbe } = require('./connectivity');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,20 +17,22 @@ const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
 if (!shopDomain) throw new Error('Missing SHOPIFY_SHOP_DOMAIN in .env');
 if (!adminToken) throw new Error('Missing SHOPIFY_ADMIN_TOKEN in .env');
 
-const REQUIRED_PUBLICATION_NAMES = [
+// Channels a product goes to unless publishing.json says otherwise.
+const DEFAULT_PUBLICATION_NAMES = [
   'Online Store',
   'Point of Sale',
   'Google & YouTube',
   'Facebook & Instagram'
 ];
 
-let cachedPublicationIds = null;
+let cachedPublications = null;
 let cachedLocations = null;
 
 async function shopifyRest(pathPart, options = {}) {
   const url = `https://${shopDomain}/admin/api/${apiVersion}${pathPart}`;
 
-  const res = await fetch(url, {
+  const { res, text, json, parsed } = await shopifyRequest(url, {
+    kind: 'rest',
     method: options.method || 'GET',
     headers: {
       'X-Shopify-Access-Token': adminToken,
@@ -37,18 +42,16 @@ async function shopifyRest(pathPart, options = {}) {
     body: options.body ? JSON.stringify(options.body) : undefined
   });
 
-  const text = await res.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : {};
-  } catch (e) {
+  if (!parsed) {
     console.error('Shopify REST non JSON response:', text);
     throw new Error(`Shopify REST returned non JSON, status ${res.status}`);
   }
 
   if (!res.ok) {
     console.error('Shopify REST error', res.status, json);
-    throw new Error(`Shopify REST error ${res.status}`);
+    const error = new Error(`Shopify REST error ${res.status}`);
+    error.status = res.status;
+    throw error;
   }
 
   return json;
@@ -57,21 +60,20 @@ async function shopifyRest(pathPart, options = {}) {
 async function shopifyGraphql(query, variables = {}) {
   const url = `https://${shopDomain}/admin/api/${apiVersion}/graphql.json`;
 
-  const res = await fetch(url, {
+  const { res, text, json, parsed } = await shopifyRequest(url, {
+    kind: 'graphql',
     method: 'POST',
     headers: {
       'X-Shopify-Access-Token': adminToken,
       'Content-Type': 'application/json',
       'Accept': 'application/json'
     },
-    body: JSON.stringify({ query, variables })
+    body: JSON.stringify({ query, variables }),
+    // Queries are safe to send again; mutations may already have been applied.
+    idempotent: !/^\s*mutation\b/.test(query)
   });
 
-  const text = await res.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : {};
-  } catch (e) {
+  if (!parsed) {
     console.error('Shopify GraphQL non JSON response:', text);
     throw new Error(`Shopify GraphQL returned non JSON, status ${res.status}`);
   }
@@ -89,8 +91,16 @@ async function shopifyGraphql(query, variables = {}) {
   return json.data;
 }
 
-async function getRequiredPublicationIds() {
-  if (cachedPublicationIds && cachedPublicationIds.length) return cachedPublicationIds;
+// While offline, the cheapest query there is tells when Shopify can be reached again.
+setProbe(() => shopifyGraphql('{ shop { id } }'));
+
+// Returns [{ id, name }] for each of `names` the shop has a publication for.
+// A name that is not found fetches the list again, so a channel added to the shop later
+// is picked up on retry.
+async function getPublications(names) {
+  if (cachedPublications && names.every(name => cachedPublications.has(name))) {
+    return names.map(name => cachedPublications.get(name));
+  }
 
   const query = `
     query ListPublications {
@@ -111,14 +121,14 @@ async function getRequiredPublicationIds() {
     data = await shopifyGraphql(query);
   } catch (err) {
     console.error('Failed to load publications via GraphQL', err);
-    return [];
+    throw new Error(`Could not load sales channels: ${err.message}`);
   }
 
   const edges = data?.publications?.edges || [];
-  const publicationIds = [];
+  const publications = [];
   const missing = [];
 
-  REQUIRED_PUBLICATION_NAMES.forEach(required => {
+  names.forEach(required => {
     const requiredLower = required.toLowerCase();
 
     const match = edges.find(edge => {
@@ -133,15 +143,15 @@ async function getRequiredPublicationIds() {
       return label.includes(requiredLower);
     });
 
-    if (match) publicationIds.push(match.node.id);
+    if (match) publications.push({ id: match.node.id, name: required });
     else missing.push(required);
   });
 
   if (missing.length) console.warn('Could not find publication ids for channels:', missing.join(', '));
-  if (!publicationIds.length) console.warn('No publication ids found. Products will not be published.');
+  if (!publications.length) console.warn('No publication ids found. Products will not be published.');
 
-  cachedPublicationIds = publicationIds;
-  return publicationIds;
+  cachedPublications = new Map(publications.map(pub => [pub.name, pub]));
+  return publications;
 }
 
 async function getLocations() {
@@ -152,8 +162,9 @@ async function getLocations() {
     cachedLocations = locations;
     return locations;
   } catch (err) {
+    // Offline the saved product list takes over; an empty answer would hide it.
+    if (err.offline) throw err;
     console.warn('Unable to load Shopify locations (missing read_locations scope?)');
-    cachedLocations = [];
     return [];
   }
 }
@@ -225,9 +236,15 @@ async function getInventoryLevelsForLocation(inventoryItemIds, locationId) {
   return levels;
 }
 
-async function publishProductToDefaultSalesChannels(productId) {
-  const publicationIds = await getRequiredPublicationIds();
-  if (!publicationIds.length) return;
+// Publishes to each named channel on its own, so one refusing channel does not hide
+// the others. Resolves [{ name, ok, error }] in the order given; never throws.
+async function publishProductToChannels(productId, names = DEFAULT_PUBLICATION_NAMES) {
+  let publications;
+  try {
+    publications = await getPublications(names);
+  } catch (err) {
+    return names.map(name => ({ name, ok: false, error: err.message }));
+  }
 
   const productGid = `gid://shopify/Product/${productId}`;
 
@@ -240,269 +257,533 @@ async function publishProductToDefaultSalesChannels(productId) {
     }
   `;
 
-  const input = publicationIds.map(publicationId => ({ publicationId }));
-
-  let data;
-  try {
-    data = await shopifyGraphql(mutation, { id: productGid, input });
-  } catch (err) {
-    console.error('GraphQL error while publishing product', err);
-    return;
-  }
+  const results = [];
+  for (const name of names) {
+    const publication = publications.find(pub => pub.name === name);
+    if (!publication) {
+      results.push({ name, ok: false, error: 'Sales channel not found in this shop' });
+      continue;
+    }
 
-  const userErrors = data?.publishablePublish?.userErrors || [];
-  if (userErrors.length) {
-    console.error('publishablePublish userErrors:', JSON.stringify(userErrors, null, 2));
-    return;
+    try {
+      const data = await shopifyGraphql(mutation, { id: productGid, input: [{ publicationId: publication.id }] });
+      const userErrors = data?.publishablePublish?.userErrors || [];
+      if (userErrors.length) {
+        console.error(`publishablePublish userErrors for ${name}:`, JSON.stringify(userErrors, null, 2));
+        results.push({ name, ok: false, error: userErrors.map(e => e.message).join('; ') });
+        continue;
+      }
+      results.push({ name, ok: true, error: null });
+    } catch (err) {
+      console.error(`GraphQL error while publishing product to ${name}`, err);
+      results.push({ name, ok: false, error: err.message });
+    }
   }
 
-  console.log(`Published product ${productId} to ${publicationIds.length} sales channels`);
+  const published = results.filter(result => result.ok).length;
+  console.log(`Published product ${productId} to ${published}/${names.length} sales channels`);
+  return results;
 }
 
-function getNextLink(linkHeader) {
-  if (!linkHeader) return null;
-  const parts = linkHeader.split(',');
-  for (const part of parts) {
-    const [urlPart, relPart] = part.split(';').map(s => s.trim());
-    if (relPart && relPart.includes('rel="next"')) {
-      const match = urlPart.match(/<([^>]+)>/);
-      if (match) return match[1];
-    }
-  }
-  return null;
-}
+const allowedUploadExts = ['.jpg', '.jpeg', '.png', '.webp'];
+const UPLOAD_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
 
-async function fetchAllProductsFromUrl(startUrl) {
-  let all = [];
-  let url = startUrl;
+// Shopify processes new media in the background; give it this long before giving up.
+const MEDIA_POLL_INTERVAL_MS = 1000;
+const MEDIA_POLL_MAX_INTERVAL_MS = 5000;
+const MEDIA_READY_TIMEOUT_MS = 2 * 60 * 1000;
+// Cloud storage usually answers well within this; longer means the upload stalled.
+const STAGED_UPLOAD_TIMEOUT_MS = 2 * 60 * 1000;
 
-  while (url) {
-    console.log('Fetching products page:', url);
+function productGid(productId) {
+  return `gid://shopify/Product/${productId}`;
+}
 
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': adminToken,
-        'Accept': 'application/json'
-      }
-    });
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    const text = await res.text();
-    let json;
-    try {
-      json = text ? JSON.parse(text) : {};
-    } catch (e) {
-      console.error('Shopify REST non JSON response:', text);
-      throw new Error(`Shopify REST returned non JSON, status ${res.status}`);
+// Asks Shopify where to put a file. Resolves { url, resourceUrl, parameters: [{ name, value }] }.
+async function createStagedTarget({ filename, mimeType, fileSize }) {
+  const mutation = `
+    mutation StageUpload($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets { url resourceUrl parameters { name value } }
+        userErrors { field message }
+      }
     }
+  `;
+  const data = await shopifyGraphql(mutation, {
+    input: [{ resource: 'IMAGE', filename, mimeType, fileSize: String(fileSize), httpMethod: 'POST' }]
+  });
+  const result = data.stagedUploadsCreate;
+  if (result.userErrors.length) throw new Error(result.userErrors.map(error => error.message).join('; '));
+  return result.stagedTargets[0];
+}
 
-    if (!res.ok) {
-      console.error('Shopify REST error page fetch', res.status, json);
-      throw new Error(`Shopify REST error ${res.status}`);
-    }
+// Posts the file to a staged target as a multipart form, reading it from disk as it goes
+// rather than holding it in memory. Any target with the same shape works, which is how
+// the upload can be tried against a local server. A stalled upload is cut off after
+// `timeoutMs` so the upload worker moves on and retries later.
+async function uploadToStagedTarget(target, file, { timeoutMs = STAGED_UPLOAD_TIMEOUT_MS } = {}) {
+  const { filePath, buffer, filename, mimeType } = file;
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  // The file has to come after the signed parameters.
+  if (filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    // A known length lets the form send Content-Length; storage rejects chunked uploads.
+    form.append('file', fs.createReadStream(filePath), { filename, contentType: mimeType, knownLength: size });
+  } else {
+    form.append('file', buffer, { filename, contentType: mimeType });
+  }
 
-    if (json && (json.errors || json.error)) {
-      console.error('Shopify REST returned error payload:', json);
-      throw new Error('Shopify REST returned an error payload');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let res;
+  try {
+    res = await fetch(target.url, { method: 'POST', body: form, signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`Staged upload timed out after ${Math.round(timeoutMs / 1000)}s`);
     }
-
-    const products = Array.isArray(json.products) ? json.products : [];
-    console.log('Page products count:', products.length);
-
-    all = all.concat(products);
-
-    if (all.length >= 1000) {
-      all = all.slice(0, 1000);
-      console.log('Reached 1000 product limit, stopping pagination');
-      break;
+    if (wasNotSent(err)) {
+      reportUnreachable(err);
+      err.offline = true;
     }
-
-    const linkHeader = res.headers.get('link');
-    const nextUrl = getNextLink(linkHeader);
-    url = nextUrl || null;
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    console.error('Staged upload failed', res.status, text.slice(0, 500));
+    throw new Error(`Staged upload failed with status ${res.status}`);
   }
-
-  console.log('Total products fetched across pages (capped at 1000):', all.length);
-  return all;
 }
 
-async function fetchAllProducts() {
-  const baseUrl = `https://${shopDomain}/admin/api/${apiVersion}/products.json`;
-  const fields = 'id,title,status,created_at,images,variants';
-
-  // IMPORTANT: no status=any
-  const paramsPrimary = new URLSearchParams({
-    limit: '250',
-    fields,
-    order: 'created_at desc'
-  });
-
-  let all = await fetchAllProductsFromUrl(`${baseUrl}?${paramsPrimary.toString()}`);
-
-  if (all.length === 0) {
-    console.warn('Primary fetch returned 0. Retrying without order param...');
-    const paramsNoOrder = new URLSearchParams({ limit: '250', fields });
-    all = await fetchAllProductsFromUrl(`${baseUrl}?${paramsNoOrder.toString()}`);
+// Stages an image and adds it to the product. Resolves { mediaId } or null when the input
+// was skipped. The media still has to finish processing, see waitForProductMedia.
+// `image` is a path or { filePath | buffer, filename, alt }.
+async function createProductImageMedia(productId, image) {
+  const filePath = typeof image === 'string' ? image : image && image.filePath;
+  const filename = typeof image === 'string'
+    ? path.basename(image)
+    : (image && image.filename) || (filePath ? path.basename(filePath) : null);
+  const buffer = image && image.buffer;
+  const alt = image && typeof image === 'object' ? image.alt : null;
+
+  const ext = filename ? path.extname(filename).toLowerCase() : null;
+  if (!ext || !allowedUploadExts.includes(ext)) {
+    console.log('Skipping non image file during upload', filename || filePath);
+    return null;
   }
-
-  if (all.length === 0) {
-    console.warn('Retry still returned 0. Retrying with only limit=250...');
-    const paramsMin = new URLSearchParams({ limit: '250' });
-    all = await fetchAllProductsFromUrl(`${baseUrl}?${paramsMin.toString()}`);
+  if (!buffer && !(filePath && fs.existsSync(filePath))) {
+    console.warn('No image data provided, skipping', filePath || filename);
+    return null;
   }
 
-  return all;
-}
+  const mimeType = UPLOAD_MIME_TYPES[ext];
+  const fileSize = buffer ? buffer.length : (await fs.promises.stat(filePath)).size;
+  const target = await createStagedTarget({ filename, mimeType, fileSize });
+  await uploadToStagedTarget(target, { filePath: buffer ? null : filePath, buffer, filename, mimeType });
 
-function toSimpleProduct(p) {
-  let sku = null;
-  if (Array.isArray(p.variants) && p.variants.length > 0) {
-    sku = p.variants[0].sku || null;
+  const mutation = `
+    mutation AttachMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+      productCreateMedia(productId: $productId, media: $media) {
+        media { id status }
+        mediaUserErrors { code field message }
+      }
+    }
+  `;
+  const data = await shopifyGraphql(mutation, {
+    productId: productGid(productId),
+    media: [{ originalSource: target.resourceUrl, mediaContentType: 'IMAGE', alt: alt || '' }]
+  });
+  const result = data.productCreateMedia;
+  if (result.mediaUserErrors.length) {
+    const error = new Error(result.mediaUserErrors.map(item => item.message).join('; '));
+    if (result.mediaUserErrors.some(item => item.code === 'PRODUCT_DOES_NOT_EXIST')) error.status = 404;
+    throw error;
   }
 
-  return {
-    id: p.id,
-    title: p.title,
-    status: p.status,
-    created_at: p.created_at,
-    sku
-  };
+  const mediaId = result.media[0].id;
+  console.log('Staged image for product', productId, 'media id:', mediaId, `(${fileSize} bytes)`);
+  return { mediaId };
 }
 
-async function getRecentProductsWithoutImages(limit = 30, options = {}) {
-  const storeName = options.storeName || null;
-  const storeLocationId = options.storeLocationId || null;
-  console.log('getRecentProductsWithoutImages: scanning products (max 1000)', storeName ? `for store "${storeName}"` : '');
-
-  const all = await fetchAllProducts();
+// Shopify's clock and ours may disagree by this much.
+const CLOCK_MARGIN_MS = 5 * 60 * 1000;
 
-  const nonArchived = all.filter(p => (p.status || '').toLowerCase() !== 'archived');
+// Finds an image added since `since` (ISO time) with this alt text and not listed in
+// `exclude`: the media a create call made even though its answer was lost. Resolves its
+// id or null, so a retry only sends the image again when it really is not there.
+async function findCreatedImageMedia(productId, { alt, since, exclude = [] }) {
+  const query = `
+    query RecentMedia($id: ID!) {
+      product(id: $id) {
+        media(last: 50) {
+          nodes {
+            id
+            alt
+            status
+            ... on MediaImage { createdAt }
+          }
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphql(query, { id: productGid(productId) });
+  if (!data || !data.product) return null;
+
+  const after = new Date(since).getTime() - CLOCK_MARGIN_MS;
+  const match = data.product.media.nodes.find(node =>
+    node.createdAt
+    && new Date(node.createdAt).getTime() >= after
+    && node.status !== 'FAILED'
+    && (node.alt || '') === (alt || '')
+    && !exclude.includes(node.id)
+  );
+  if (match) console.log('Found image media created by an earlier attempt', match.id, 'on product', productId);
+  return match ? match.id : null;
+}
 
-  const withoutImages = nonArchived.filter(p => !p.images || p.images.length === 0);
+// Marks errors after which the media is gone for good, so the file has to be sent again.
+function mediaFailure(message) {
+  const error = new Error(message);
+  error.mediaFailed = true;
+  return error;
+}
 
-  console.log('Products with no images (before sort):', withoutImages.length);
+// Polls until Shopify has processed the media. Resolves { mediaId, src }; throws with
+// Shopify's reasons when processing failed.
+async function waitForProductMedia(mediaId) {
+  const query = `
+    query MediaStatus($id: ID!) {
+      node(id: $id) {
+        ... on MediaImage {
+          status
+          mediaErrors { code message details }
+          image { url }
+        }
+      }
+    }
+  `;
+  const deadline = Date.now() + MEDIA_READY_TIMEOUT_MS;
+  let interval = MEDIA_POLL_INTERVAL_MS;
 
-  let filtered = withoutImages;
-  let filterError = null;
-  const meta = {
-    scannedWithoutImages: withoutImages.length,
-    storeName: storeName || null,
-    locationId: null,
-    inventoryMatched: null
-  };
+  for (;;) {
+    const data = await shopifyGraphql(query, { id: mediaId });
+    const media = data && data.node;
+    if (!media) throw mediaFailure('Uploaded image is no longer on Shopify');
 
-  if (storeName) {
-    const locationId = storeLocationId || await getLocationIdForStoreName(storeName);
-    if (!locationId) {
-      console.warn('Store filter requested but no matching location found:', storeName);
-      filterError = `No Shopify location matched store "${storeName}"`;
-      return { products: [], meta, error: filterError };
+    if (media.status === 'READY') {
+      return { mediaId, src: media.image ? media.image.url : null };
+    }
+    if (media.status === 'FAILED') {
+      const reasons = (media.mediaErrors || []).map(error => error.details || error.message || error.code);
+      throw mediaFailure(`Shopify could not process the image: ${reasons.join('; ') || 'unknown error'}`);
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Image still processing after ${MEDIA_READY_TIMEOUT_MS / 1000}s`);
     }
 
-    meta.locationId = locationId;
-    const inventoryItemIds = [];
-    const productInventoryMap = new Map();
-
-    filtered.forEach(product => {
-      const ids = (product.variants || [])
-        .map(variant => variant.inventory_item_id)
-        .filter(Boolean);
-      if (!ids.length) return;
-      productInventoryMap.set(product.id, ids);
-      inventoryItemIds.push(...ids);
-    });
+    await sleep(interval);
+    interval = Math.min(interval * 2, MEDIA_POLL_MAX_INTERVAL_MS);
+  }
+}
 
-    const levels = await getInventoryLevelsForLocation(
-      Array.from(new Set(inventoryItemIds)),
-      locationId
-    );
-    const availableMap = new Map();
-    levels.forEach(level => {
-      availableMap.set(level.inventory_item_id, Number(level.available || 0));
+// Puts processed media at a gallery slot (from 1) and makes it the image of `variantIds`.
+async function placeProductMedia(productId, mediaId, { position, variantIds } = {}) {
+  if (position) {
+    const mutation = `
+      mutation MoveMedia($id: ID!, $moves: [MoveInput!]!) {
+        productReorderMedia(id: $id, moves: $moves) {
+          mediaUserErrors { field message }
+        }
+      }
+    `;
+    const data = await shopifyGraphql(mutation, {
+      id: productGid(productId),
+      moves: [{ id: mediaId, newPosition: String(position - 1) }]
     });
+    const errors = data.productReorderMedia.mediaUserErrors;
+    if (errors.length) throw new Error(errors.map(error => error.message).join('; '));
+  }
 
-    filtered = filtered.filter(product => {
-      const ids = productInventoryMap.get(product.id) || [];
-      return ids.some(id => (availableMap.get(id) || 0) >= 1);
-    });
-    meta.inventoryMatched = filtered.length;
-  } else {
-    filtered = filtered.filter(p => {
-      if (!Array.isArray(p.variants) || p.variants.length === 0) return false;
-      return p.variants.some(variant => Number(variant.inventory_quantity) >= 1);
+  if (variantIds && variantIds.length) {
+    const mutation = `
+      mutation VariantMedia($productId: ID!, $variantMedia: [ProductVariantAppendMediaInput!]!) {
+        productVariantAppendMedia(productId: $productId, variantMedia: $variantMedia) {
+          userErrors { field message }
+        }
+      }
+    `;
+    const data = await shopifyGraphql(mutation, {
+      productId: productGid(productId),
+      variantMedia: variantIds.map(id => ({ variantId: `gid://shopify/ProductVariant/${id}`, mediaIds: [mediaId] }))
     });
+    const errors = data.productVariantAppendMedia.userErrors;
+    if (errors.length) throw new Error(errors.map(error => error.message).join('; '));
   }
-
-  filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-  const top = filtered.slice(0, limit).map(toSimpleProduct);
-
-  console.log(`Returning ${top.length} most recent products with no images (limit ${limit})`);
-  return { products: top, meta, error: filterError };
 }
 
-async function uploadImagesToProduct(productId, images) {
-  const allowedExts = ['.jpg', '.jpeg', '.png', '.heic'];
-
-  for (const image of images) {
-    const filePath = typeof image === 'string' ? image : image && image.filePath;
-    const filename = typeof image === 'string'
-      ? path.basename(image)
-      : image && image.filename;
-    const buffer = image && image.buffer;
+// Current gallery images of a product, in display order: [{ id: media GID, src, alt,
+// position, width, height }]. Media is the one id the GraphQL uploads, reorders and
+// deletes all share.
+async function getProductMedia(productId) {
+  const query = `
+    query ProductMedia($id: ID!) {
+      product(id: $id) {
+        media(first: 250) {
+          nodes {
+            id
+            alt
+            ... on MediaImage { image { url width height } }
+          }
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphql(query, { id: productGid(productId) });
+  if (!data || !data.product) {
+    const error = new Error(`Product ${productId} is no longer on Shopify`);
+    error.status = 404;
+    throw error;
+  }
+  const nodes = data.product.media.nodes;
+  // Videos and 3D models stay where they are; only images take part in a reshoot.
+  return nodes
+    .map((node, index) => ({ node, position: index + 1 }))
+    .filter(({ node }) => node.image)
+    .map(({ node, position }) => ({
+      id: node.id,
+      src: node.image.url,
+      alt: node.alt || '',
+      position,
+      width: node.image.width || null,
+      height: node.image.height || null
+    }));
+}
 
-    const ext = filename ? path.extname(filename).toLowerCase() : null;
-    if (!ext || !allowedExts.includes(ext)) {
-      console.log('Skipping non image file during upload', filename || filePath);
-      continue;
+// Resolves { ok, error }. Media that is already gone counts as deleted.
+async function deleteProductMedia(productId, mediaId) {
+  const mutation = `
+    mutation DeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors { code field message }
+      }
     }
+  `;
+  try {
+    const data = await shopifyGraphql(mutation, { productId: productGid(productId), mediaIds: [mediaId] });
+    const errors = data.productDeleteMedia.mediaUserErrors
+      .filter(error => error.code !== 'MEDIA_DOES_NOT_EXIST');
+    if (errors.length) throw new Error(errors.map(error => error.message).join('; '));
+    console.log('Deleted media', mediaId, 'from product', productId);
+    return { ok: true, error: null };
+  } catch (err) {
+    console.error('Failed to delete media', mediaId, 'from product', productId, err.message);
+    return { ok: false, error: err.message };
+  }
+}
 
-    let base64 = null;
-    if (buffer) {
-      base64 = buffer.toString('base64');
-    } else if (filePath) {
-      if (!fs.existsSync(filePath)) {
-        console.warn('File missing, skipping', filePath);
-        continue;
+// Moves every listed media to its slot in one go. Moves apply front to back, which leaves
+// the gallery in exactly this order, whatever it was before. Resolves { ok, error }.
+async function reorderProductMedia(productId, mediaIds) {
+  const mutation = `
+    mutation ReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        mediaUserErrors { field message }
       }
-      base64 = fs.readFileSync(filePath, { encoding: 'base64' });
-    } else {
-      console.warn('No image data provided, skipping');
-      continue;
     }
+  `;
+  try {
+    const data = await shopifyGraphql(mutation, {
+      id: productGid(productId),
+      moves: mediaIds.map((id, index) => ({ id, newPosition: String(index) }))
+    });
+    const errors = data.productReorderMedia.mediaUserErrors;
+    if (errors.length) throw new Error(errors.map(error => error.message).join('; '));
+    return { ok: true, error: null };
+  } catch (err) {
+    console.error('Failed to reorder media for product', productId, err.message);
+    return { ok: false, error: err.message };
+  }
+}
 
-    const body = {
-      image: {
-        attachment: base64,
-        filename
+async function addProductTags(productId, tags) {
+  const mutation = `
+    mutation AddTags($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        userErrors { field message }
       }
-    };
+    }
+  `;
+
+  const data = await shopifyGraphql(mutation, { id: `gid://shopify/Product/${productId}`, tags });
+  const userErrors = data?.tagsAdd?.userErrors || [];
+  if (userErrors.length) throw new Error(userErrors.map(e => e.message).join('; '));
+  console.log('Added tags to product', productId, tags.join(', '));
+}
 
-    const json = await shopifyRest(`/products/${productId}/images.json`, { method: 'POST', body });
+// Maps GraphQL userErrors back to the edited fields they name; errors that name none
+// apply to every field sent.
+function fieldResults(fields, userErrors, fieldFor) {
+  const results = {};
+  fields.forEach(field => {
+    results[field] = { ok: true, error: null };
+  });
+  userErrors.forEach(userError => {
+    const named = fieldFor(userError.field || []);
+    (named && results[named] ? [named] : fields).forEach(field => {
+      results[field] = { ok: false, error: userError.message };
+    });
+  });
+  return results;
+}
 
-    const uploaded = json.image;
-    console.log('Uploaded image for product', productId, 'image id:', uploaded && uploaded.id);
+const PRODUCT_FIELD_INPUTS = { title: 'title', tags: 'tags', product_type: 'productType', condition: 'metafields' };
+
+// `fields` may hold title, tags (array), product_type and condition, which is written to
+// the `conditionMetafield` { namespace, key }. Resolves { [field]: { ok, error } }; never throws.
+async function updateProductFields(productId, fields, conditionMetafield) {
+  const names = Object.keys(fields);
+  if (!names.length) return {};
+
+  const input = { id: `gid://shopify/Product/${productId}` };
+  if (fields.title !== undefined) input.title = fields.title;
+  if (fields.tags !== undefined) input.tags = fields.tags;
+  if (fields.product_type !== undefined) input.productType = fields.product_type;
+  if (fields.condition !== undefined) {
+    input.metafields = [{
+      namespace: conditionMetafield.namespace,
+      key: conditionMetafield.key,
+      type: 'single_line_text_field',
+      value: fields.condition
+    }];
   }
 
+  const mutation = `
+    mutation UpdateProduct($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product { id }
+        userErrors { field message }
+      }
+    }
+  `;
+
   try {
-    await shopifyRest(`/products/${productId}.json`, {
-      method: 'PUT',
-      body: { product: { id: productId, status: 'active' } }
-    });
-    console.log('Updated product status to active for', productId);
+    const data = await shopifyGraphql(mutation, { input });
+    const userErrors = data?.productUpdate?.userErrors || [];
+    if (userErrors.length) console.error('productUpdate userErrors:', JSON.stringify(userErrors, null, 2));
+    else console.log('Updated product fields for', productId, names.join(', '));
+    return fieldResults(names, userErrors, path =>
+      names.find(name => path.includes(PRODUCT_FIELD_INPUTS[name]))
+    );
   } catch (err) {
-    console.warn('Could not update product status for', productId, err.message);
+    console.error('GraphQL error while updating product', productId, err.message);
+    return fieldResults(names, [{ field: null, message: err.message }], () => null);
   }
+}
+
+// `fields` may hold sku and barcode for one variant. Resolves { [field]: { ok, error } }; never throws.
+async function updateVariantFields(productId, variantId, fields) {
+  const names = Object.keys(fields);
+  if (!names.length) return {};
+
+  const variant = { id: `gid://shopify/ProductVariant/${variantId}` };
+  if (fields.barcode !== undefined) variant.barcode = fields.barcode;
+  if (fields.sku !== undefined) variant.inventoryItem = { sku: fields.sku };
+
+  const mutation = `
+    mutation UpdateVariants($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants { id }
+        userErrors { field message }
+      }
+    }
+  `;
 
   try {
-    await publishProductToDefaultSalesChannels(productId);
+    const data = await shopifyGraphql(mutation, {
+      productId: `gid://shopify/Product/${productId}`,
+      variants: [variant]
+    });
+    const userErrors = data?.productVariantsBulkUpdate?.userErrors || [];
+    if (userErrors.length) console.error('productVariantsBulkUpdate userErrors:', JSON.stringify(userErrors, null, 2));
+    else console.log('Updated variant fields for', productId, names.join(', '));
+    return fieldResults(names, userErrors, path =>
+      names.find(name => path.includes(name === 'sku' ? 'inventoryItem' : name) || path.includes(name))
+    );
   } catch (err) {
-    console.error('Failed to publish product to default sales channels', err);
+    console.error('GraphQL error while updating variant', variantId, err.message);
+    return fieldResults(names, [{ field: null, message: err.message }], () => null);
+  }
+}
+
+// Sets the product status, adds tags and publishes to sales channels. No step stops the
+// others, and `target` picks what to run, so a retry can skip what already worked:
+// { status: 'active' | 'draft' | null to skip, channels: [names], tags: [tags] }.
+// Resolves { status: { ok, error } | null, tags: { ok, error } | null,
+// channels: [{ name, ok, error }] }; never throws.
+async function publishProduct(productId, target = {}) {
+  const status = target.status === undefined ? 'active' : target.status;
+  const channels = target.channels || DEFAULT_PUBLICATION_NAMES;
+  const tags = target.tags || [];
+  const result = { status: null, tags: null, channels: [] };
+
+  if (status) {
+    try {
+      await shopifyRest(`/products/${productId}.json`, {
+        method: 'PUT',
+        body: { product: { id: productId, status } }
+      });
+      result.status = { ok: true, error: null };
+      console.log(`Updated product status to ${status} for`, productId);
+    } catch (err) {
+      result.status = { ok: false, error: err.message };
+      console.warn('Could not update product status for', productId, err.message);
+    }
+  }
+
+  if (tags.length) {
+    try {
+      await addProductTags(productId, tags);
+      result.tags = { ok: true, error: null };
+    } catch (err) {
+      result.tags = { ok: false, error: err.message };
+      console.warn('Could not add tags to product', productId, err.message);
+    }
+  }
+
+  if (channels.length) {
+    result.channels = await publishProductToChannels(productId, channels);
   }
+  return result;
 }
 
 module.exports = {
+  DEFAULT_PUBLICATION_NAMES,
+  createProductImageMedia,
+  deleteProductMedia,
+  findCreatedImageMedia,
   getActiveLocations,
-  getRecentProductsWithoutImages,
-  uploadImagesToProduct
+  getInventoryLevelsForLocation,
+  getLocationIdForStoreName,
+  getProductMedia,
+  placeProductMedia,
+  publishProduct,
+  reorderProductMedia,
+  shopifyGraphql,
+  updateProductFields,
+  updateVariantFields,
+  uploadToStagedTarget,
+  waitForProductMedia
 };
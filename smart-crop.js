@@ -0,0 +1,201 @@
+// smart-crop.js
+// Finds the product in a shot taken on a plain backdrop and builds a crop box around it.
+// Everything runs locally on a downscaled copy, so it is cheap enough to preview.
+const sharp = require('sharp');
+
+const ANALYSIS_SIZE = 256;
+const BORDER_PX = 4;
+const MIN_THRESHOLD = 24;
+const DEFAULT_MARGIN = 0.08;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Backdrop colour is the per-channel median of the border strip; its spread sets the threshold.
+function estimateBackdrop(data, width, height, channels) {
+  const samples = [[], [], []];
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const onBorder = x < BORDER_PX || y < BORDER_PX || x >= width - BORDER_PX || y >= height - BORDER_PX;
+      if (!onBorder) continue;
+      const offset = (y * width + x) * channels;
+      for (let c = 0; c < 3; c += 1) samples[c].push(data[offset + c]);
+    }
+  }
+
+  const color = samples.map(median);
+  const deviations = samples.map((values, c) => median(values.map(v => Math.abs(v - color[c]))));
+  const threshold = Math.max(MIN_THRESHOLD, 4 * Math.max(...deviations));
+  return { color, threshold };
+}
+
+// Returns the subject box in analysis pixels, or null when nothing stands out from the backdrop.
+function findSubjectBox(data, width, height, channels) {
+  const { color, threshold } = estimateBackdrop(data, width, height, channels);
+  const colCounts = new Array(width).fill(0);
+  const rowCounts = new Array(height).fill(0);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * channels;
+      const diff = Math.max(
+        Math.abs(data[offset] - color[0]),
+        Math.abs(data[offset + 1] - color[1]),
+        Math.abs(data[offset + 2] - color[2])
+      );
+      if (diff > threshold) {
+        colCounts[x] += 1;
+        rowCounts[y] += 1;
+      }
+    }
+  }
+
+  // Ignore stray specks: a row or column counts once a few percent of it differs.
+  const minCol = Math.max(2, Math.round(height * 0.02));
+  const minRow = Math.max(2, Math.round(width * 0.02));
+  const left = colCounts.findIndex(count => count >= minCol);
+  const top = rowCounts.findIndex(count => count >= minRow);
+  if (left === -1 || top === -1) return null;
+
+  let right = width - 1;
+  while (right > left && colCounts[right] < minCol) right -= 1;
+  let bottom = height - 1;
+  while (bottom > top && rowCounts[bottom] < minRow) bottom -= 1;
+
+  const box = { left, top, width: right - left + 1, height: bottom - top + 1 };
+  const coverage = (box.width * box.height) / (width * height);
+  // A box this small is noise; one this large means the backdrop was not plain.
+  if (coverage < 0.01 || coverage > 0.95) return null;
+  return box;
+}
+
+// Falls back to libvips' attention strategy, which looks for skin tones, saturation and detail.
+async function attentionBox(small, width, height, ratio) {
+  const cropW = width / height > ratio ? Math.round(height * ratio) : width;
+  const cropH = width / height > ratio ? height : Math.round(width / ratio);
+  const { info } = await sharp(small.data, { raw: small.info })
+    .resize(cropW, cropH, { fit: 'cover', position: sharp.strategy.attention })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    left: Math.abs(info.cropOffsetLeft || 0),
+    top: Math.abs(info.cropOffsetTop || 0),
+    width: cropW,
+    height: cropH
+  };
+}
+
+// Smallest box of the given ratio that holds the subject plus margin, centred on it and
+// kept inside the image. All values are in full-size pixels.
+function fitCropBox(imageWidth, imageHeight, subject, ratio, margin) {
+  const pad = Math.max(subject.width, subject.height) * margin;
+  const wantW = subject.width + pad * 2;
+  const wantH = subject.height + pad * 2;
+
+  let width = Math.max(wantW, wantH * ratio);
+  let height = width / ratio;
+  if (width > imageWidth) {
+    width = imageWidth;
+    height = width / ratio;
+  }
+  if (height > imageHeight) {
+    height = imageHeight;
+    width = height * ratio;
+  }
+
+  width = Math.min(Math.max(Math.round(width), 1), imageWidth);
+  height = Math.min(Math.max(Math.round(height), 1), imageHeight);
+
+  const centerX = subject.left + subject.width / 2;
+  const centerY = subject.top + subject.height / 2;
+  const left = Math.min(Math.max(Math.round(centerX - width / 2), 0), imageWidth - width);
+  const top = Math.min(Math.max(Math.round(centerY - height / 2), 0), imageHeight - height);
+
+  return { left, top, width, height };
+}
+
+function centeredCropBox(imageWidth, imageHeight, ratio) {
+  const current = imageWidth / imageHeight;
+  const width = current > ratio ? Math.round(imageHeight * ratio) : imageWidth;
+  const height = current > ratio ? imageHeight : Math.round(imageWidth / ratio);
+  return {
+    left: Math.floor((imageWidth - width) / 2),
+    top: Math.floor((imageHeight - height) / 2),
+    width,
+    height
+  };
+}
+
+// `pipeline` is a sharp instance already rotated to display orientation.
+// Returns { box, source } with box in full-size pixels; source is 'subject' or 'attention'.
+async function detectCropBox(pipeline, imageWidth, imageHeight, ratio, margin = DEFAULT_MARGIN) {
+  const small = await pipeline
+    .clone()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = small.info;
+  const scaleX = imageWidth / width;
+  const scaleY = imageHeight / height;
+
+  const subject = findSubjectBox(small.data, width, height, channels);
+  if (subject) {
+    const fullSubject = {
+      left: subject.left * scaleX,
+      top: subject.top * scaleY,
+      width: subject.width * scaleX,
+      height: subject.height * scaleY
+    };
+    return { box: fitCropBox(imageWidth, imageHeight, fullSubject, ratio, margin), source: 'subject' };
+  }
+
+  const attention = await attentionBox(small, width, height, ratio);
+  const fullAttention = {
+    left: attention.left * scaleX,
+    top: attention.top * scaleY,
+    width: attention.width * scaleX,
+    height: attention.height * scaleY
+  };
+  return { box: fitCropBox(imageWidth, imageHeight, fullAttention, ratio, 0), source: 'attention' };
+}
+
+// Manual boxes are stored as fractions of the image so they survive any resize.
+function toRelativeBox(box, imageWidth, imageHeight) {
+  return {
+    left: box.left / imageWidth,
+    top: box.top / imageHeight,
+    width: box.width / imageWidth,
+    height: box.height / imageHeight
+  };
+}
+
+function fromRelativeBox(relative, imageWidth, imageHeight) {
+  const width = Math.max(1, Math.min(Math.round(relative.width * imageWidth), imageWidth));
+  const height = Math.max(1, Math.min(Math.round(relative.height * imageHeight), imageHeight));
+  const left = Math.min(Math.max(Math.round(relative.left * imageWidth), 0), imageWidth - width);
+  const top = Math.min(Math.max(Math.round(relative.top * imageHeight), 0), imageHeight - height);
+  return { left, top, width, height };
+}
+
+function isValidRelativeBox(box) {
+  if (!box || typeof box !== 'object') return false;
+  const values = [box.left, box.top, box.width, box.height].map(Number);
+  if (values.some(value => Number.isNaN(value))) return false;
+  const [left, top, width, height] = values;
+  return width > 0 && height > 0 && left >= 0 && top >= 0 && left + width <= 1.001 && top + height <= 1.001;
+}
+
+module.exports = {
+  DEFAULT_MARGIN,
+  centeredCropBox,
+  detectCropBox,
+  estimateBackdrop,
+  fitCropBox,
+  fromRelativeBox,
+  isValidRelativeBox,
+  toRelativeBox
+};
@@ -0,0 +1,102 @@
+// test/shopify-request.test.js
+// Which failed requests shopifyRequest sends again, against a local HTTP server.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { shopifyRequest } = require('../shopify-request');
+
+let server;
+let baseUrl;
+// Statuses the next requests are answered with, in turn; 200 once they run out. 'reset'
+// drops the connection instead, and null leaves the request hanging.
+let statuses = [];
+let hits = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits += 1;
+    req.resume();
+    req.on('end', () => {
+      const status = statuses.length ? statuses.shift() : 200;
+      if (status === null) return;
+      if (status === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+      res.statusCode = status;
+      if (res.statusCode === 429) res.setHeader('Retry-After', '0');
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function answer(...list) {
+  statuses = list;
+  hits = 0;
+}
+
+test('sends a write that hit a server error only once', async () => {
+  answer(502);
+  const { res } = await shopifyRequest(`${baseUrl}/products/1/images.json`, { method: 'POST', body: '{}' });
+  assert.strictEqual(res.status, 502);
+  assert.strictEqual(hits, 1);
+});
+
+test('sends a mutation that hit a server error only once', async () => {
+  answer(503);
+  const { res } = await shopifyRequest(`${baseUrl}/graphql.json`, {
+    kind: 'graphql',
+    method: 'POST',
+    body: '{}',
+    idempotent: false
+  });
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual(hits, 1);
+});
+
+test('retries a throttled write', async () => {
+  answer(429);
+  const { res } = await shopifyRequest(`${baseUrl}/products/1/images.json`, { method: 'POST', body: '{}' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(hits, 2);
+});
+
+test('retries a read after a server error', async () => {
+  answer(500);
+  const { res } = await shopifyRequest(`${baseUrl}/products/1.json`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(hits, 2);
+});
+
+test('does not treat a write on a dropped connection as offline', async () => {
+  answer('reset');
+  await assert.rejects(
+    shopifyRequest(`${baseUrl}/products/1/images.json`, { method: 'POST', body: '{}' }),
+    error => !error.offline
+  );
+  assert.strictEqual(hits, 1);
+});
+
+test('gives up on a write that stops answering', async () => {
+  answer(null);
+  await assert.rejects(
+    shopifyRequest(`${baseUrl}/products/1/images.json`, { method: 'POST', body: '{}', timeoutMs: 200 }),
+    /timed out/
+  );
+  assert.strictEqual(hits, 1);
+});
+
+test('retries a read that stops answering', async () => {
+  answer(null);
+  const { res } = await shopifyRequest(`${baseUrl}/products/1.json`, { timeoutMs: 200 });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(hits, 2);
+});
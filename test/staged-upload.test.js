@@ -0,0 +1,124 @@
+// test/staged-upload.test.js
+// uploadToStagedTarget against a local HTTP server standing in for Shopify's staged target.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN || 'test.invalid';
+process.env.SHOPIFY_ADMIN_TOKEN = process.env.SHOPIFY_ADMIN_TOKEN || 'test';
+const { uploadToStagedTarget } = require('../shopify');
+
+const PARAMETERS = [
+  { name: 'key', value: 'tmp/1/jacket-1.jpg' },
+  { name: 'policy', value: 'signed-policy' },
+  { name: 'x-goog-signature', value: 'abc123' }
+];
+
+let server;
+let baseUrl;
+// What the next request is answered with; each test sets it.
+let respond = (req, res) => res.end();
+let received = null;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received = { headers: req.headers, body: Buffer.concat(chunks).toString('latin1') };
+      respond(req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function fieldNames(body) {
+  return Array.from(body.matchAll(/Content-Disposition: form-data; name="([^"]+)"/g)).map(match => match[1]);
+}
+
+test('sends the signed parameters before the file', async () => {
+  respond = (req, res) => {
+    res.statusCode = 204;
+    res.end();
+  };
+  const filePath = path.join(os.tmpdir(), `staged-upload-${process.pid}.jpg`);
+  fs.writeFileSync(filePath, 'JPEGDATA');
+  try {
+    await uploadToStagedTarget(
+      { url: `${baseUrl}/upload`, parameters: PARAMETERS },
+      { filePath, filename: 'jacket-1.jpg', mimeType: 'image/jpeg' }
+    );
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+
+  assert.match(received.headers['content-type'], /^multipart\/form-data; ?boundary=/);
+  assert.deepStrictEqual(fieldNames(received.body), ['key', 'policy', 'x-goog-signature', 'file']);
+  assert.match(received.body, /name="key"\r\n\r\ntmp\/1\/jacket-1\.jpg\r\n/);
+  assert.match(received.body, /name="file"; filename="jacket-1\.jpg"\r\nContent-Type: image\/jpeg\r\n\r\nJPEGDATA\r\n/);
+  assert.strictEqual(Number(received.headers['content-length']), Buffer.byteLength(received.body, 'latin1'));
+});
+
+test('uploads a buffer the same way', async () => {
+  respond = (req, res) => {
+    res.statusCode = 201;
+    res.end('<PostResponse/>');
+  };
+  await uploadToStagedTarget(
+    { url: `${baseUrl}/upload`, parameters: PARAMETERS },
+    { buffer: Buffer.from('PNGDATA'), filename: 'jacket-2.png', mimeType: 'image/png' }
+  );
+
+  assert.deepStrictEqual(fieldNames(received.body), ['key', 'policy', 'x-goog-signature', 'file']);
+  assert.match(received.body, /filename="jacket-2\.png"\r\nContent-Type: image\/png\r\n\r\nPNGDATA\r\n/);
+});
+
+test('rejects a non-2xx answer with its status', async () => {
+  respond = (req, res) => {
+    res.statusCode = 403;
+    res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+  };
+  await assert.rejects(
+    uploadToStagedTarget(
+      { url: `${baseUrl}/upload`, parameters: PARAMETERS },
+      { buffer: Buffer.from('JPEGDATA'), filename: 'jacket-1.jpg', mimeType: 'image/jpeg' }
+    ),
+    error => error.message === 'Staged upload failed with status 403' && !error.offline
+  );
+});
+
+test('gives up on a target that stops answering', async () => {
+  respond = () => {};
+  await assert.rejects(
+    uploadToStagedTarget(
+      { url: `${baseUrl}/upload`, parameters: PARAMETERS },
+      { buffer: Buffer.from('JPEGDATA'), filename: 'jacket-1.jpg', mimeType: 'image/jpeg' },
+      { timeoutMs: 200 }
+    ),
+    /Staged upload timed out/
+  );
+});
+
+test('marks a target that cannot be reached as offline', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(
+    uploadToStagedTarget(
+      { url: `http://127.0.0.1:${port}/upload`, parameters: PARAMETERS },
+      { buffer: Buffer.from('JPEGDATA'), filename: 'jacket-1.jpg', mimeType: 'image/jpeg' }
+    ),
+    error => error.offline === true
+  );
+});
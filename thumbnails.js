@@ -0,0 +1,92 @@
+// thumbnails.js
+// Resized JPEG copies of watch-folder photos for the browser. Each one is rendered once
+// and kept on disk under a key of source path, mtime and size, so re-rendering the
+// queue grid costs a cache hit instead of decoding a full camera file.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { renderPreview } = require('./image-processing');
+
+const THUMBNAIL_DIR = path.join(__dirname, 'Thumbnails');
+
+const THUMBNAIL_SIZE = 480;
+// Lightbox size for files the browser cannot show as-is (HEIC).
+const FULL_PREVIEW_SIZE = 2048;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Renders in flight, so a grid full of new photos does not decode any file twice.
+const pending = new Map();
+
+function renditionKey(filePath, stat, size) {
+  return crypto
+    .createHash('sha1')
+    .update(`${path.resolve(filePath)}|${stat.mtimeMs}|${stat.size}|${size}`)
+    .digest('hex');
+}
+
+// Changes whenever the source file does; used to version thumbnail URLs.
+function sourceVersion(stat) {
+  return `${Math.round(stat.mtimeMs)}-${stat.size}`;
+}
+
+async function renderToCache(filePath, cachePath, size) {
+  const buffer = await renderPreview(filePath, size);
+  await fs.promises.mkdir(THUMBNAIL_DIR, { recursive: true });
+  const tmpPath = `${cachePath}.tmp`;
+  await fs.promises.writeFile(tmpPath, buffer);
+  await fs.promises.rename(tmpPath, cachePath);
+}
+
+// Returns { path, etag } for a cached JPEG of the file, rendering it on a miss.
+async function getRendition(filePath, size = THUMBNAIL_SIZE) {
+  const stat = await fs.promises.stat(filePath);
+  const key = renditionKey(filePath, stat, size);
+  const cachePath = path.join(THUMBNAIL_DIR, `${key}.jpg`);
+  const result = { path: cachePath, etag: `"${key}"` };
+
+  if (fs.existsSync(cachePath)) return result;
+
+  if (!pending.has(key)) {
+    pending.set(
+      key,
+      renderToCache(filePath, cachePath, size).finally(() => pending.delete(key))
+    );
+  }
+  await pending.get(key);
+  return result;
+}
+
+// Stale entries pile up as photos are uploaded or re-shot; drop anything untouched for a week.
+async function pruneThumbnails() {
+  let names;
+  try {
+    names = await fs.promises.readdir(THUMBNAIL_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Failed to read thumbnail cache', err);
+    return;
+  }
+
+  const cutoff = Date.now() - MAX_AGE_MS;
+  let removed = 0;
+  for (const name of names) {
+    const filePath = path.join(THUMBNAIL_DIR, name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.mtimeMs < cutoff) {
+        await fs.promises.unlink(filePath);
+        removed += 1;
+      }
+    } catch (err) {
+      console.error('Failed to prune thumbnail', filePath, err.message);
+    }
+  }
+  if (removed) console.log(`Pruned ${removed} old thumbnails`);
+}
+
+module.exports = {
+  FULL_PREVIEW_SIZE,
+  THUMBNAIL_SIZE,
+  getRendition,
+  pruneThumbnails,
+  sourceVersion
+};
@@ -0,0 +1,127 @@
+// trash.js
+// Photos removed from a queue wait in Trash/<station>/ so a misclick can be undone. After
+// TRASH_RETENTION_HOURS they are emptied into the archive, or deleted when there is none.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const localPaths = require('./paths');
+const { archiveRemovedFile } = require('./archive');
+const { broadcast } = require('./events');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { moveFileInto } = require('./move-file');
+
+const TRASH_DIR = path.join(__dirname, 'Trash');
+const TRASH_FILE = path.join(__dirname, 'trash.json');
+
+const DEFAULT_RETENTION_HOURS = 24;
+const RETENTION_HOURS = Number(localPaths.TRASH_RETENTION_HOURS) > 0
+  ? Number(localPaths.TRASH_RETENTION_HOURS)
+  : DEFAULT_RETENTION_HOURS;
+const EMPTY_INTERVAL_MS = 15 * 60 * 1000;
+
+// Item shape:
+// { id, station, name, originalPath, trashPath, position, addedAt, crop, variantId, naming,
+//   product: product it was queued for or null, store, removedAt }
+let items = readJsonFile(TRASH_FILE, { items: [] }).items || [];
+
+function saveTrash() {
+  try {
+    writeJsonFile(TRASH_FILE, { items });
+  } catch (err) {
+    console.error('Failed to save trash', TRASH_FILE, err);
+  }
+}
+
+function expiresAt(item) {
+  return new Date(new Date(item.removedAt).getTime() + RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+function listTrash(station) {
+  return items
+    .filter(item => item.station === station)
+    .map(item => ({ ...item, expiresAt: expiresAt(item) }));
+}
+
+function findTrashItem(id) {
+  return items.find(item => item.id === id) || null;
+}
+
+// `entry` is the station queue entry; `position` its index in the queue when removed.
+async function moveToTrash(station, entry, position, product, store) {
+  const trashPath = await moveFileInto(entry.filePath, path.join(TRASH_DIR, station));
+  const item = {
+    id: crypto.randomUUID(),
+    station,
+    name: path.basename(entry.filePath),
+    originalPath: entry.filePath,
+    trashPath,
+    position,
+    addedAt: entry.addedAt || null,
+    crop: entry.crop || null,
+    variantId: entry.variantId || null,
+    naming: entry.naming || null,
+    product: product || null,
+    store: store || null,
+    removedAt: new Date().toISOString()
+  };
+  items.push(item);
+  saveTrash();
+  console.log(`Moved removed photo to trash on station "${station}":`, entry.filePath, '->', trashPath);
+  return item;
+}
+
+// Puts the file back where it was taken from, under a new name if that one is taken again.
+// Returns the restored path.
+async function restoreFromTrash(item) {
+  const filePath = await moveFileInto(item.trashPath, path.dirname(item.originalPath), item.name);
+  items = items.filter(other => other !== item);
+  saveTrash();
+  console.log(`Restored photo from trash on station "${item.station}":`, filePath);
+  return filePath;
+}
+
+// Hands expired items (or all of a station's with `all`) to the archive. Returns how many went.
+async function emptyTrash({ station = null, all = false } = {}) {
+  const now = Date.now();
+  const due = items.filter(item =>
+    (!station || item.station === station) && (all || new Date(expiresAt(item)).getTime() <= now)
+  );
+  if (!due.length) return 0;
+
+  let emptied = 0;
+  for (const item of due) {
+    try {
+      if (fs.existsSync(item.trashPath)) {
+        await archiveRemovedFile(item.trashPath, item.product, item.store);
+      }
+    } catch (err) {
+      console.error('Failed to empty trashed photo', item.trashPath, err);
+      continue;
+    }
+    items = items.filter(other => other !== item);
+    emptied += 1;
+  }
+  saveTrash();
+
+  new Set(due.map(item => item.station)).forEach(name => {
+    broadcast('trash-changed', { station: name }, name);
+  });
+  console.log(`Emptied ${emptied} photos from trash`);
+  return emptied;
+}
+
+function startTrashEmptying() {
+  const run = () => emptyTrash().catch(err => console.error('Failed to empty trash', err));
+  run();
+  setInterval(run, EMPTY_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  RETENTION_HOURS,
+  emptyTrash,
+  findTrashItem,
+  listTrash,
+  moveToTrash,
+  restoreFromTrash,
+  startTrashEmptying
+};
@@ -0,0 +1,583 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { archiveUploadedFiles } = require('./archive');
+const { isOnline, onReconnect } = require('./connectivity');
+const { broadcast } = require('./events');
+const { recordUpload } = require('./history');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { getPreset, processImage } = require('./image-processing');
+const { imageNames } = require('./image-names');
+const { forgetProduct } = require('./product-index');
+const { saveProductEdits } = require('./product-edits');
+const { resolvePublishing } = require('./publishing');
+const {
+  createProductImageMedia,
+  deleteProductMedia,
+  findCreatedImageMedia,
+  placeProductMedia,
+  publishProduct,
+  reorderProductMedia,
+  waitForProductMedia
+} = require('./shopify');
+
+const JOBS_FILE = path.join(__dirname, 'jobs.json');
+const PROCESSED_DIR = path.join(__dirname, 'Processed');
+
+const WORKER_INTERVAL_MS = 2000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const COMPLETED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Job shape:
+// { id, station, product, preset, publishing: { rule, status, channels, addTags },
+//   edits: validated product field changes from product-edits.js,
+//   gallery: reshoot plan from gallery.js { order, deleteMediaIds, changed } or null,
+//   createdAt, startedAt, updatedAt,
+//   status: 'pending' | 'running' | 'completed' | 'failed',
+//   images: [{ filePath, crop, variantId, naming, state: 'pending' | 'processed' | 'uploaded' | 'failed',
+//              processedPath, filename, alt, mediaId, createRequestedAt, attempts, nextAttemptAt, error }],
+//   finalize: { state: 'pending' | 'done' | 'failed', attempts, nextAttemptAt, error,
+//               steps: { gallery: { deleted: [{ id, ok, error }], order: { ok, error } | null } | null,
+//                        fields: { [field]: { ok, error } }, status: { ok, error } | null,
+//                        tags: { ok, error } | null, channels: [{ name, ok, error }] } } }
+let jobs = [];
+let workerTimer = null;
+let workerBusy = false;
+
+function loadJobs() {
+  const saved = readJsonFile(JOBS_FILE, { jobs: [] });
+  jobs = Array.isArray(saved.jobs) ? saved.jobs : [];
+
+  // A crash mid-run leaves jobs marked running; pick them up again.
+  jobs.forEach(job => {
+    if (job.status === 'running') job.status = 'pending';
+  });
+}
+
+function saveJobs() {
+  try {
+    writeJsonFile(JOBS_FILE, { jobs });
+  } catch (err) {
+    console.error('Failed to save upload jobs', JOBS_FILE, err);
+  }
+}
+
+// Upload events go to every page, since the uploads panel lists all stations.
+function notifyJob(job) {
+  const finished = job.status === 'completed' || job.status === 'failed';
+  broadcast(finished ? 'upload-finished' : 'upload-progress', { job: summarizeJob(job) });
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+  return delay + Math.floor(Math.random() * 1000);
+}
+
+function markFailed(target, err) {
+  // Shopify being out of reach is not the step's fault: it waits without using up an
+  // attempt, and runs as soon as the connection is back. Only requests that never left
+  // are marked offline, so nothing that may have been applied repeats without limit.
+  if (err && err.offline) {
+    target.error = 'Waiting for connection to Shopify';
+    target.nextAttemptAt = new Date().toISOString();
+    return;
+  }
+  target.attempts = (target.attempts || 0) + 1;
+  target.error = err && err.message ? err.message : String(err);
+  target.nextAttemptAt = target.attempts < MAX_ATTEMPTS
+    ? new Date(Date.now() + retryDelay(target.attempts)).toISOString()
+    : null;
+}
+
+// Failed steps are only due again once their backoff has passed; exhausted steps never are.
+function isStepDue(step, now) {
+  if (step.state !== 'failed') return true;
+  return Boolean(step.nextAttemptAt) && new Date(step.nextAttemptAt).getTime() <= now;
+}
+
+// `entries` are station queue entries: { filePath, crop, variantId, naming }. `publishing` is fixed when the
+// job is created, so the rule shown before Done is the one applied.
+function createJob({ station, product, preset, publishing, edits, gallery, entries }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    station,
+    product,
+    preset: preset || null,
+    publishing: publishing || resolvePublishing(product),
+    edits: edits || {},
+    gallery: gallery || null,
+    createdAt: now,
+    updatedAt: now,
+    status: 'pending',
+    images: entries.map(entry => ({
+      filePath: entry.filePath,
+      crop: entry.crop || null,
+      variantId: entry.variantId || null,
+      naming: entry.naming || null,
+      state: 'pending',
+      processedPath: null,
+      filename: null,
+      alt: null,
+      mediaId: null,
+      createRequestedAt: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null
+    })),
+    finalize: {
+      state: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null,
+      steps: { gallery: null, fields: {}, status: null, tags: null, channels: [] }
+    }
+  };
+
+  jobs.push(job);
+  saveJobs();
+  notifyJob(job);
+  console.log(`Queued upload job ${job.id} for product ${product.id} with ${entries.length} images`);
+  scheduleWorker(0);
+  return job;
+}
+
+// Gallery slot of the image, from 1. On a reshoot it goes among the images already there;
+// without a gallery plan it follows the images the product already had.
+function imagePosition(job, image, index) {
+  if (!job.gallery) return (job.product.image_count || 0) + index + 1;
+  return job.gallery.order.findIndex(item => item.filePath === image.filePath) + 1 || null;
+}
+
+// Where to move the uploaded image. A product that had images but no gallery plan (its
+// images could not be loaded) is left in Shopify's order, which appends, so the new photos
+// never land in front of the featured image.
+function placementPosition(job, image, index) {
+  if (!job.gallery && job.product.image_count) return null;
+  return imagePosition(job, image, index);
+}
+
+async function prepareImage(job, image, index) {
+  const names = imageNames(job.product, {
+    position: imagePosition(job, image, index) || index + 1,
+    variantId: image.variantId,
+    naming: image.naming
+  });
+  const { filename, buffer } = await processImage(image.filePath, job.preset, {
+    cropBox: image.crop,
+    baseName: names.baseName
+  });
+  const jobDir = path.join(PROCESSED_DIR, job.id);
+  await fs.promises.mkdir(jobDir, { recursive: true });
+
+  const processedPath = path.join(jobDir, `${String(index + 1).padStart(2, '0')}-${filename}`);
+  await fs.promises.writeFile(processedPath, buffer);
+
+  image.processedPath = processedPath;
+  image.filename = filename;
+  image.alt = names.alt || null;
+  image.state = 'processed';
+}
+
+async function uploadImage(job, image, index) {
+  if (!image.mediaId && (!image.processedPath || !fs.existsSync(image.processedPath))) {
+    await prepareImage(job, image, index);
+    saveJobs();
+  }
+
+  // Shopify gives a variant one image, so only the first photo tagged with it links to it.
+  const featured = image.variantId
+    && job.images.findIndex(other => other.variantId === image.variantId) === index;
+
+  // A create whose answer was lost may still have added the image; look before sending
+  // it again.
+  if (!image.mediaId && image.createRequestedAt) {
+    image.mediaId = await findCreatedImageMedia(job.product.id, {
+      alt: image.alt,
+      since: image.createRequestedAt,
+      exclude: job.images.map(other => other.mediaId).filter(Boolean)
+    });
+    if (image.mediaId) saveJobs();
+  }
+
+  // The file goes up once; a retry after a processing timeout waits on the same media.
+  if (!image.mediaId) {
+    image.createRequestedAt = new Date().toISOString();
+    saveJobs();
+    let created;
+    try {
+      created = await createProductImageMedia(job.product.id, {
+        filePath: image.processedPath,
+        filename: image.filename,
+        alt: image.alt
+      });
+    } catch (err) {
+      if (err.status === 404) forgetProduct(job.product.id);
+      throw err;
+    }
+    image.mediaId = created ? created.mediaId : null;
+    saveJobs();
+  }
+
+  if (image.mediaId) {
+    try {
+      await waitForProductMedia(image.mediaId);
+    } catch (err) {
+      if (err.mediaFailed) {
+        image.mediaId = null;
+        image.createRequestedAt = null;
+      }
+      throw err;
+    }
+    await placeProductMedia(job.product.id, image.mediaId, {
+      position: placementPosition(job, image, index),
+      variantIds: featured ? [image.variantId] : []
+    });
+  }
+
+  image.state = 'uploaded';
+  image.error = null;
+  image.nextAttemptAt = null;
+}
+
+// Deletes the images a reshoot left out, then puts the gallery in its final order. Media
+// already deleted and an order already saved are not sent again.
+async function applyGallery(job, previous) {
+  const plan = job.gallery;
+  if (!plan || !plan.changed) return null;
+
+  const deleted = [];
+  for (const mediaId of plan.deleteMediaIds) {
+    const earlier = previous && previous.deleted.find(item => item.id === mediaId);
+    deleted.push(earlier && earlier.ok
+      ? earlier
+      : { id: mediaId, ...(await deleteProductMedia(job.product.id, mediaId)) });
+  }
+
+  let order = previous ? previous.order : null;
+  if (!order || !order.ok) {
+    const mediaIds = plan.order
+      .map(item => {
+        if (item.mediaId) return item.mediaId;
+        const image = job.images.find(candidate => candidate.filePath === item.filePath);
+        return image ? image.mediaId : null;
+      })
+      .filter(Boolean);
+    order = await reorderProductMedia(job.product.id, mediaIds);
+  }
+  return { deleted, order };
+}
+
+// Runs the gallery, field edit, status, tag and channel steps that have not succeeded yet, keeping
+// earlier successes. Throws with every step still failing, so the usual backoff applies.
+async function publishJob(job) {
+  const target = job.publishing || resolvePublishing(job.product);
+  const previous = job.finalize.steps || { gallery: null, status: null, tags: null, channels: [] };
+  const succeeded = name => previous.channels.some(channel => channel && channel.name === name && channel.ok);
+
+  const gallery = await applyGallery(job, previous.gallery);
+
+  // Edited tags replace the product's tags, so they carry the rule's tags along.
+  const edits = { ...(job.edits || {}) };
+  if (edits.tags) edits.tags = Array.from(new Set([...edits.tags, ...target.addTags]));
+  const fields = Object.keys(edits).length
+    ? await saveProductEdits(job.product, edits, previous.fields || {})
+    : {};
+
+  const result = await publishProduct(job.product.id, {
+    status: previous.status && previous.status.ok ? null : target.status,
+    tags: previous.tags && previous.tags.ok ? [] : target.addTags,
+    channels: target.channels.filter(name => !succeeded(name))
+  });
+
+  job.finalize.steps = {
+    gallery,
+    fields,
+    status: result.status || previous.status,
+    tags: result.tags || previous.tags || null,
+    channels: target.channels.map(name =>
+      result.channels.find(channel => channel.name === name)
+      || previous.channels.find(channel => channel && channel.name === name)
+    )
+  };
+
+  const failures = describePublishFailures(job);
+  if (failures.length) {
+    const error = new Error(failures.join('; '));
+    error.offline = !isOnline();
+    throw error;
+  }
+}
+
+const FIELD_LABELS = {
+  title: 'Title',
+  tags: 'Tags',
+  product_type: 'Product type',
+  sku: 'SKU',
+  barcode: 'Barcode',
+  condition: 'Condition'
+};
+
+function describePublishFailures(job) {
+  const steps = job.finalize.steps;
+  if (!steps) return [];
+  const status = job.publishing ? job.publishing.status : 'active';
+  const failures = [];
+  if (steps.gallery) {
+    steps.gallery.deleted
+      .filter(item => !item.ok)
+      .forEach(item => failures.push(`Image ${item.id} not deleted: ${item.error}`));
+    if (steps.gallery.order && !steps.gallery.order.ok) {
+      failures.push(`Image order not saved: ${steps.gallery.order.error}`);
+    }
+  }
+  failures.push(...Object.keys(steps.fields || {})
+    .filter(field => !steps.fields[field].ok)
+    .map(field => `${FIELD_LABELS[field] || field} not saved: ${steps.fields[field].error}`));
+  if (steps.status && !steps.status.ok) failures.push(`Status not set to ${status}: ${steps.status.error}`);
+  if (steps.tags && !steps.tags.ok) failures.push(`Tags not added: ${steps.tags.error}`);
+  steps.channels
+    .filter(channel => channel && !channel.ok)
+    .forEach(channel => failures.push(`Not on ${channel.name}: ${channel.error}`));
+  return failures;
+}
+
+async function finishJob(job) {
+  job.status = 'completed';
+  job.completedAt = new Date().toISOString();
+  console.log(`Upload job ${job.id} completed for product ${job.product.id}`);
+
+  try {
+    await archiveUploadedFiles(job.product, job.product.store || null, {
+      jobId: job.id,
+      station: job.station,
+      preset: job.preset,
+      presetSettings: getPreset(job.preset),
+      images: job.images
+    });
+  } catch (err) {
+    console.error('Failed to archive originals for job', job.id, err);
+  }
+
+  fs.promises
+    .rm(path.join(PROCESSED_DIR, job.id), { recursive: true, force: true })
+    .catch(err => console.warn('Could not clean processed files for job', job.id, err.message));
+}
+
+// Runs every step of the job that is due. Returns once nothing else can be done right now.
+async function runJob(job) {
+  const now = Date.now();
+  job.status = 'running';
+  if (!job.startedAt) job.startedAt = new Date().toISOString();
+  notifyJob(job);
+
+  for (let index = 0; index < job.images.length; index += 1) {
+    if (!isOnline()) break;
+    const image = job.images[index];
+    if (image.state === 'uploaded') continue;
+    if (!isStepDue(image, now)) continue;
+
+    try {
+      await uploadImage(job, image, index);
+    } catch (err) {
+      console.error(`Upload job ${job.id} image failed`, image.filePath, err.message);
+      image.state = 'failed';
+      markFailed(image, err);
+    }
+    job.updatedAt = new Date().toISOString();
+    saveJobs();
+    notifyJob(job);
+  }
+
+  const allUploaded = job.images.every(image => image.state === 'uploaded');
+  if (allUploaded && job.finalize.state !== 'done' && isStepDue(job.finalize, now) && isOnline()) {
+    try {
+      await publishJob(job);
+      job.finalize.state = 'done';
+      job.finalize.error = null;
+      job.finalize.nextAttemptAt = null;
+    } catch (err) {
+      console.error(`Upload job ${job.id} publish step failed`, err.message);
+      job.finalize.state = 'failed';
+      markFailed(job.finalize, err);
+    }
+  }
+
+  if (allUploaded && job.finalize.state === 'done') {
+    await finishJob(job);
+  } else {
+    // Steps skipped while offline have not failed yet, so they keep the job waiting too.
+    const canRun = step => step.state !== 'failed' || Boolean(step.nextAttemptAt);
+    const waiting = job.images.some(image => image.state !== 'uploaded' && canRun(image))
+      || (allUploaded && canRun(job.finalize));
+    job.status = waiting ? 'pending' : 'failed';
+  }
+
+  job.updatedAt = new Date().toISOString();
+  if (job.status === 'completed' || job.status === 'failed') recordUpload(job);
+  saveJobs();
+  notifyJob(job);
+}
+
+function pruneCompletedJobs() {
+  const cutoff = Date.now() - COMPLETED_JOB_TTL_MS;
+  const before = jobs.length;
+  jobs = jobs.filter(job => job.status !== 'completed' || new Date(job.completedAt).getTime() > cutoff);
+  if (jobs.length !== before) saveJobs();
+}
+
+// Nothing is due while Shopify is out of reach; batches wait until it answers again.
+function nextDueJob() {
+  if (!isOnline()) return null;
+  const now = Date.now();
+  return jobs.find(job => {
+    if (job.status !== 'pending') return false;
+    const imageDue = job.images.some(image => image.state !== 'uploaded' && isStepDue(image, now));
+    const allUploaded = job.images.every(image => image.state === 'uploaded');
+    return imageDue || (allUploaded && job.finalize.state !== 'done' && isStepDue(job.finalize, now));
+  });
+}
+
+async function workerTick() {
+  if (workerBusy) return;
+  workerBusy = true;
+
+  try {
+    pruneCompletedJobs();
+    let job = nextDueJob();
+    while (job) {
+      await runJob(job);
+      job = nextDueJob();
+    }
+  } catch (err) {
+    console.error('Upload worker error', err);
+  } finally {
+    workerBusy = false;
+    scheduleWorker(WORKER_INTERVAL_MS);
+  }
+}
+
+function scheduleWorker(delay) {
+  if (workerTimer) clearTimeout(workerTimer);
+  workerTimer = setTimeout(workerTick, delay);
+}
+
+function startUploadWorker() {
+  loadJobs();
+  onReconnect(() => scheduleWorker(0));
+  const pending = jobs.filter(job => job.status === 'pending').length;
+  if (pending) console.log(`Resuming ${pending} pending upload jobs`);
+  scheduleWorker(0);
+}
+
+// Runs the failed publish steps again for a job whose images are all on Shopify.
+// The worker may be partway through a step and would overwrite the reset when it
+// finishes, so a running job cannot be retried until it stops.
+function jobRunningError() {
+  const error = new Error('The upload is running; retry once it stops');
+  error.status = 409;
+  return error;
+}
+
+function retryPublish(jobId) {
+  const job = jobs.find(item => item.id === jobId);
+  if (job && job.status === 'running') throw jobRunningError();
+  if (!job || job.finalize.state !== 'failed') return null;
+  if (!job.images.every(image => image.state === 'uploaded')) return null;
+
+  job.finalize.attempts = 0;
+  job.finalize.nextAttemptAt = new Date().toISOString();
+  job.status = 'pending';
+  job.updatedAt = new Date().toISOString();
+  saveJobs();
+  notifyJob(job);
+  scheduleWorker(0);
+  return job;
+}
+
+// Resets attempts on every failed step so the worker picks the job up immediately.
+function retryJob(jobId) {
+  const job = jobs.find(item => item.id === jobId);
+  if (job && job.status === 'running') throw jobRunningError();
+  if (!job || job.status === 'completed') return null;
+
+  job.images.forEach(image => {
+    if (image.state !== 'failed') return;
+    image.attempts = 0;
+    image.nextAttemptAt = new Date().toISOString();
+  });
+  if (job.finalize.state === 'failed') {
+    job.finalize.attempts = 0;
+    job.finalize.nextAttemptAt = new Date().toISOString();
+  }
+
+  job.status = 'pending';
+  job.updatedAt = new Date().toISOString();
+  saveJobs();
+  notifyJob(job);
+  scheduleWorker(0);
+  return job;
+}
+
+function summarizeJob(job) {
+  const counts = { pending: 0, processed: 0, uploaded: 0, failed: 0 };
+  job.images.forEach(image => {
+    counts[image.state] = (counts[image.state] || 0) + 1;
+  });
+
+  return {
+    id: job.id,
+    station: job.station,
+    product: job.product,
+    preset: job.preset,
+    publishing: job.publishing || null,
+    edits: job.edits || {},
+    gallery: job.gallery || null,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null,
+    counts,
+    total: job.images.length,
+    images: job.images.map(image => ({
+      name: path.basename(image.filePath),
+      state: image.state,
+      attempts: image.attempts,
+      nextAttemptAt: image.nextAttemptAt,
+      error: image.error
+    })),
+    finalize: job.finalize,
+    // Images are on Shopify but the product is not fully live.
+    warnings: job.images.every(image => image.state === 'uploaded') && job.finalize.state === 'failed'
+      ? describePublishFailures(job)
+      : []
+  };
+}
+
+function listJobs() {
+  return jobs
+    .slice()
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(summarizeJob);
+}
+
+// Files owned by a job must not be queued again by a station.
+function isFileInJob(filePath) {
+  const target = path.normalize(filePath);
+  return jobs.some(job =>
+    job.status !== 'completed' &&
+    job.images.some(image => path.normalize(image.filePath) === target)
+  );
+}
+
+module.exports = {
+  createJob,
+  isFileInJob,
+  listJobs,
+  retryJob,
+  retryPublish,
+  startUploadWorker,
+  summarizeJob
+};